@@ -4,7 +4,12 @@
  * chunky, satisfying 8-bit style sounds.
  */
 class AudioManager {
-    constructor() {
+    /**
+     * Create audio manager
+     * @param {RandomStream} rng - Cosmetic random stream (noise and pitch variation)
+     */
+    constructor(rng) {
+        this.rng = rng;
         this.settingsKey = 'gato-garage-audio-settings';
         // Music tracks
         this.musicPath = 'assets/sounds/music/Gato_Garage.mp3';
@@ -18,11 +23,10 @@ class AudioManager {
         this.started = false;
         this.unlockListenersAttached = false;
 
-        // Defaults
-        const savedSettings = this.loadSettings();
-        this.musicVolume = savedSettings.musicVolume !== undefined ? savedSettings.musicVolume : 0.4;
-        this.sfxVolume = savedSettings.sfxVolume !== undefined ? savedSettings.sfxVolume : 0.5;
-        this.muted = savedSettings.muted;
+        // Defaults (stored settings are applied by loadSettings())
+        this.musicVolume = 0.4;
+        this.sfxVolume = 0.5;
+        this.muted = false;
 
         this.initMusic();
     }
@@ -198,23 +202,21 @@ class AudioManager {
         this.sfxGainNode.gain.setValueAtTime(vol, this.audioCtx.currentTime);
     }
 
-    loadSettings() {
+    async loadSettings() {
         const defaults = { musicVolume: 0.4, sfxVolume: 0.5, muted: false };
-        try {
-            const raw = localStorage.getItem(this.settingsKey);
-            if (!raw) return defaults;
-            return { ...defaults, ...JSON.parse(raw) };
-        } catch (error) {
-            return defaults;
-        }
+        const saved = await GameStorage.getJSON(this.settingsKey, {});
+        const settings = { ...defaults, ...saved };
+
+        this.musicVolume = settings.musicVolume;
+        this.sfxVolume = settings.sfxVolume;
+        this.muted = Boolean(settings.muted);
+        this.applyMusicVolume();
+        this.applySfxVolume();
+        return settings;
     }
 
     saveSettings() {
-        try {
-            localStorage.setItem(this.settingsKey, JSON.stringify(this.getSettings()));
-        } catch (error) {
-            console.warn('Failed to save audio settings:', error);
-        }
+        GameStorage.setJSON(this.settingsKey, this.getSettings());
     }
 
     // -------------------------------------------------------------------------
@@ -271,7 +273,7 @@ class AudioManager {
         const data = buffer.getChannelData(0);
 
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = (Math.random() * 2 - 1);
+            data[i] = (this.rng.next() * 2 - 1);
         }
 
         const noise = this.audioCtx.createBufferSource();
@@ -308,7 +310,7 @@ class AudioManager {
      */
     playClick() {
         // Slight random pitch variation so rapid clicks don't sound robotic
-        const variation = 0.95 + Math.random() * 0.1; // 0.95–1.05
+        const variation = 0.95 + this.rng.next() * 0.1; // 0.95–1.05
 
         // Soft descending pop (sine avoids the harsh harmonics of square)
         this.playTone({ freq: 660 * variation, type: 'sine', duration: 0.07, ramp: 330, vol: 0.45 });
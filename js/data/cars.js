@@ -116,10 +116,11 @@ const RarityColors = {
 
 /**
  * Get a random car type based on weights
- * @param {Array<string>} unlockedCarIds - Array of unlocked car IDs (optional, defaults to all)
+ * @param {Array<string>|null} unlockedCarIds - Array of unlocked car IDs (null for all)
+ * @param {RandomStream} rng - Gameplay random stream
  * @returns {Object} Random car definition
  */
-function getRandomCar(unlockedCarIds = null) {
+function getRandomCar(unlockedCarIds, rng) {
     let cars = Object.values(CarData);
 
     // Filter to only unlocked cars if specified
@@ -135,7 +136,7 @@ function getRandomCar(unlockedCarIds = null) {
 
     const totalWeight = cars.reduce((sum, car) => sum + car.weight, 0);
 
-    let random = Math.random() * totalWeight;
+    let random = rng.next() * totalWeight;
 
     for (const car of cars) {
         random -= car.weight;
@@ -61,6 +61,36 @@ const NipUpgradeData = {
         maxLevel: 8,
         costGrowth: 2.2,
         effect: { type: 'xpMultiplier', value: 0.10 }
+    },
+
+    longerNaps: {
+        id: 'longerNaps',
+        name: 'Longer Naps',
+        description: '+2h offline time cap',
+        baseCost: 2,
+        maxLevel: 8,
+        costGrowth: 1.9,
+        effect: { type: 'offlineCapHours', value: 2 }
+    },
+
+    nightShift: {
+        id: 'nightShift',
+        name: 'Night Shift',
+        description: '+5% offline work speed',
+        baseCost: 3,
+        maxLevel: 10,
+        costGrowth: 2.0,
+        effect: { type: 'offlineEfficiency', value: 0.05 }
+    },
+
+    catMaidAcademy: {
+        id: 'catMaidAcademy',
+        name: 'Cat-Maid Academy',
+        description: '+5 cat-maid level cap',
+        baseCost: 4,
+        maxLevel: 4,
+        costGrowth: 2.2,
+        effect: { type: 'workerLevelCap', value: 5 }
     }
 };
 
@@ -75,7 +105,10 @@ function getNipUpgradeList() {
         NipUpgradeData.loyalClients,
         NipUpgradeData.comboInstinct,
         NipUpgradeData.quickDispatch,
-        NipUpgradeData.wisdomManuals
+        NipUpgradeData.wisdomManuals,
+        NipUpgradeData.longerNaps,
+        NipUpgradeData.nightShift,
+        NipUpgradeData.catMaidAcademy
     ];
 }
 
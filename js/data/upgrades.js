@@ -68,6 +68,19 @@ const UpgradeData = {
         }
     },
 
+    serviceBay: {
+        id: 'serviceBay',
+        name: 'Service Bay',
+        description: '+1 repair bay',
+        baseCost: 40000,
+        maxLevel: 2,
+        costGrowth: 25,
+        effect: {
+            type: 'bayCount',
+            value: 1
+        }
+    },
+
     neonSign: {
         id: 'neonSign',
         name: 'Neon Sign',
@@ -119,6 +132,7 @@ function getUpgradeList() {
         UpgradeData.impactDriver,
         UpgradeData.hydraulicLift,
         UpgradeData.diagnosticComputer,
+        UpgradeData.serviceBay,
         UpgradeData.neonSign,
         UpgradeData.turboCharger,
         UpgradeData.cyberTools
@@ -129,8 +143,8 @@ function getUpgradeList() {
  * Calculate the cost of an upgrade at a given level
  * @param {Object} upgrade - Upgrade definition
  * @param {number} level - Current level
- * @returns {number} Cost for next level
+ * @returns {BigNum} Cost for next level
  */
 function calculateUpgradeCost(upgrade, level) {
-    return Math.floor(upgrade.baseCost * Math.pow(upgrade.costGrowth, level));
+    return BigNum.geometric(upgrade.baseCost, upgrade.costGrowth, level);
 }
@@ -0,0 +1,139 @@
+/**
+ * Cat-maid personalities, rolled when a worker is hired
+ * Every hire gets a generated name and 1-2 traits. Each trait bends the
+ * worker's repair rate under one kind of condition:
+ *   rarity    - bonus per car rarity ({ rarity: fraction })
+ *   timeOfDay - bonus between two local clock hours (wraps past midnight)
+ *   combo     - bonus while the player's click combo is going (active) or not (idle)
+ */
+const WorkerTraitData = {
+    nightOwl: {
+        id: 'nightOwl',
+        name: 'Night Owl',
+        description: '+25% repair from 22:00 to 06:00',
+        effect: { type: 'timeOfDay', startHour: 22, endHour: 6, bonus: 0.25 }
+    },
+
+    earlyBird: {
+        id: 'earlyBird',
+        name: 'Early Bird',
+        description: '+20% repair from 06:00 to 12:00',
+        effect: { type: 'timeOfDay', startHour: 6, endHour: 12, bonus: 0.20 }
+    },
+
+    sportsCarSpecialist: {
+        id: 'sportsCarSpecialist',
+        name: 'Sports Car Specialist',
+        description: '+35% repair on rare and legendary cars',
+        effect: { type: 'rarity', bonus: { rare: 0.35, legendary: 0.35 } }
+    },
+
+    dailyDriverPro: {
+        id: 'dailyDriverPro',
+        name: 'Daily Driver Pro',
+        description: '+20% repair on common and uncommon cars',
+        effect: { type: 'rarity', bonus: { common: 0.20, uncommon: 0.20 } }
+    },
+
+    perfectionist: {
+        id: 'perfectionist',
+        name: 'Perfectionist',
+        description: '+50% repair on legendary cars, -10% on common cars',
+        effect: { type: 'rarity', bonus: { legendary: 0.50, common: -0.10 } }
+    },
+
+    napper: {
+        id: 'napper',
+        name: 'Napper',
+        description: '+30% repair while you are not clicking, -15% during a combo',
+        effect: { type: 'combo', idle: 0.30, active: -0.15 }
+    },
+
+    hypeCat: {
+        id: 'hypeCat',
+        name: 'Hype Cat',
+        description: '+30% repair while your click combo is going',
+        effect: { type: 'combo', idle: 0, active: 0.30 }
+    }
+};
+
+/**
+ * Hiring rolls: name parts for generated names, and how often a second trait shows up
+ */
+const WorkerHireData = {
+    secondTraitChance: 0.4,
+    firstNames: [
+        'Mochi', 'Tofu', 'Biscuit', 'Nori', 'Pudding', 'Miso', 'Yuzu', 'Kiki',
+        'Luna', 'Pepper', 'Boba', 'Churro', 'Waffles', 'Maple', 'Ginger', 'Clover',
+        'Pixel', 'Noodle', 'Sprocket', 'Dango', 'Sesame', 'Taffy', 'Wasabi', 'Socks'
+    ],
+    lastNames: [
+        'Purrington', 'Whiskerton', 'Pawsley', 'Meowington', 'Furbank',
+        'Tabbyworth', 'Mittensen', 'Clawford', 'Nyanberg', 'Fluffington'
+    ]
+};
+
+/**
+ * Roll a name for a new cat-maid
+ * @param {RandomStream} rng - Gameplay random stream
+ * @returns {string} Generated name
+ */
+function rollWorkerName(rng) {
+    return `${rng.pick(WorkerHireData.firstNames)} ${rng.pick(WorkerHireData.lastNames)}`;
+}
+
+/**
+ * Roll 1-2 different traits for a new cat-maid
+ * @param {RandomStream} rng - Gameplay random stream
+ * @returns {Array<string>} Trait IDs
+ */
+function rollWorkerTraits(rng) {
+    const pool = Object.keys(WorkerTraitData);
+    const count = rng.next() < WorkerHireData.secondTraitChance ? 2 : 1;
+    const traits = [];
+
+    while (traits.length < count) {
+        const traitId = pool.splice(rng.int(pool.length), 1)[0];
+        traits.push(traitId);
+    }
+
+    return traits;
+}
+
+/**
+ * Get the repair rate multiplier a set of traits gives under some conditions
+ * @param {Array<string>} traitIds - Trait IDs
+ * @param {Object} conditions - What the worker is working under
+ * @param {string|null} conditions.rarity - Rarity of the car being repaired (null for queue prep)
+ * @param {number} conditions.hour - Local clock hour (0-23)
+ * @param {boolean} conditions.comboActive - Whether the player's click combo is going
+ * @returns {number} Rate multiplier (1 when no trait applies)
+ */
+function getWorkerTraitMultiplier(traitIds, conditions) {
+    let bonus = 0;
+
+    traitIds.forEach((traitId) => {
+        const trait = WorkerTraitData[traitId];
+        if (!trait) return;
+
+        const effect = trait.effect;
+        switch (effect.type) {
+            case 'rarity':
+                bonus += effect.bonus[conditions.rarity] || 0;
+                break;
+            case 'timeOfDay': {
+                const wraps = effect.startHour > effect.endHour;
+                const inWindow = wraps
+                    ? conditions.hour >= effect.startHour || conditions.hour < effect.endHour
+                    : conditions.hour >= effect.startHour && conditions.hour < effect.endHour;
+                if (inWindow) bonus += effect.bonus;
+                break;
+            }
+            case 'combo':
+                bonus += conditions.comboActive ? effect.active : effect.idle;
+                break;
+        }
+    });
+
+    return Math.max(0.1, 1 + bonus);
+}
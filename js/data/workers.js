@@ -89,8 +89,38 @@ function getWorkerList() {
  * Calculate the cost of hiring another worker of a given type
  * @param {Object} workerDef - Worker definition
  * @param {number} owned - Number already owned
- * @returns {number} Cost for next worker
+ * @returns {BigNum} Cost for next worker
  */
 function calculateWorkerCost(workerDef, owned) {
-    return Math.floor(workerDef.baseCost * Math.pow(workerDef.costGrowth, owned));
+    return BigNum.geometric(workerDef.baseCost, workerDef.costGrowth, owned);
+}
+
+/**
+ * Worker experience settings
+ * Workers earn 1 XP per second of work at their base rate (more once they level up).
+ */
+const WorkerLevelData = {
+    baseLevelCap: 10,       // Raised by the Cat-Maid Academy Nip upgrade
+    firstLevelXP: 600,      // XP from level 1 to 2 (ten minutes of work)
+    xpGrowth: 1.25,         // Each level needs this much more XP than the one before
+    rateBonusPerLevel: 0.1  // +10% personal repair rate per level above 1
+};
+
+/**
+ * Get the total XP a worker needs to reach a level
+ * @param {number} level - Target level (1+)
+ * @returns {number} Total XP
+ */
+function getWorkerLevelXP(level) {
+    const { firstLevelXP, xpGrowth } = WorkerLevelData;
+    return firstLevelXP * (Math.pow(xpGrowth, level - 1) - 1) / (xpGrowth - 1);
+}
+
+/**
+ * Get the personal repair rate multiplier for a level
+ * @param {number} level - Worker level
+ * @returns {number} Rate multiplier (1 at level 1)
+ */
+function getWorkerRateMultiplier(level) {
+    return 1 + (level - 1) * WorkerLevelData.rateBonusPerLevel;
 }
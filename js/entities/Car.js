@@ -2,6 +2,9 @@
  * Car entity - Represents a vehicle being repaired in the garage
  */
 class Car {
+    // Queue prep can take a waiting car this far (fraction of its repair cost)
+    static PREP_LIMIT = 0.5;
+
     /**
      * Create a new car
      * @param {Object} carDef - Car definition from CarData
@@ -20,7 +23,7 @@ class Car {
 
         // Current repair state
         this.repairProgress = 0;
-        this.createdAt = Date.now();
+        this.createdAt = GameClock.now();
         this.contractMeta = null;
 
         // Tier scaling (default to tier 1)
@@ -82,6 +85,40 @@ class Car {
         return Math.max(0, this.repairCost - this.repairProgress);
     }
 
+    /**
+     * Check if queue prep can still work on this car
+     * @returns {boolean} True while progress is below the prep limit
+     */
+    canPrep() {
+        return this.repairProgress < this.repairCost * Car.PREP_LIMIT;
+    }
+
+    /**
+     * Apply queue prep work, which stops at the prep limit
+     * @param {number} amount - Repair points offered
+     * @returns {number} Repair points actually used
+     */
+    prep(amount) {
+        const used = Math.max(0, Math.min(amount, this.repairCost * Car.PREP_LIMIT - this.repairProgress));
+        this.repairProgress += used;
+        return used;
+    }
+
+    /**
+     * Spread queue prep work over waiting cars, front of the queue first
+     * @param {Array<Car>} cars - Queued cars
+     * @param {number} amount - Repair points to spend
+     * @returns {number} Repair points actually used
+     */
+    static prepQueue(cars, amount) {
+        let left = amount;
+        for (const car of cars) {
+            if (left <= 0) break;
+            left -= car.prep(left);
+        }
+        return amount - left;
+    }
+
     /**
      * Apply tier scaling to this car's difficulty and reward
      * @param {number} tier - Difficulty tier to apply
@@ -126,7 +163,7 @@ class Car {
 
         const car = new Car(carDef);
         car.repairProgress = data.repairProgress || 0;
-        car.createdAt = data.createdAt || Date.now();
+        car.createdAt = data.createdAt || GameClock.now();
         car.tier = data.tier || 1;
         car.contractMeta = data.contractMeta ? { ...data.contractMeta } : null;
 
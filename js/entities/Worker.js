@@ -8,28 +8,93 @@ class Worker {
      */
     constructor(workerDef) {
         this.id = workerDef.id;
-        this.name = workerDef.name;
+        this.role = workerDef.name; // Worker type, e.g. 'Junior Cat-Maid'
+        this.name = workerDef.name; // Personal name, rolled on hire (see rollWorkerName)
         this.description = workerDef.description;
-        this.repairRate = workerDef.repairRate; // Repair per second
+        this.baseRepairRate = workerDef.repairRate; // Repair per second at level 1
+        this.repairRate = workerDef.repairRate; // Repair per second at the current level
         this.color = workerDef.color;
         this.flavorText = workerDef.flavorText;
 
         // Instance properties
-        this.hiredAt = Date.now();
+        this.hiredAt = GameClock.now();
         this.totalRepairs = 0; // Track lifetime contribution
+        this.xp = 0;
+        this.level = 1; // Derived from xp, up to the level cap (see updateLevel)
+        this.assignment = null; // null = help any busy bay, bay index, or 'queue' for queue prep
+        this.traits = []; // Trait IDs from WorkerTraitData, rolled on hire
     }
 
     /**
      * Get repair contribution for a time delta
      * @param {number} deltaMs - Time in milliseconds
+     * @param {Object} [conditions] - Working conditions for traits (see getWorkerTraitMultiplier)
      * @returns {number} Repair points contributed
      */
-    getRepairContribution(deltaMs) {
-        const contribution = this.repairRate * (deltaMs / 1000);
-        this.totalRepairs += contribution;
+    getRepairContribution(deltaMs, conditions = null) {
+        const contribution = this.getRate(conditions) * (deltaMs / 1000);
+        this.addWork(contribution);
         return contribution;
     }
 
+    /**
+     * Get this worker's repair rate under some working conditions
+     * @param {Object} [conditions] - Working conditions for traits (none: traits are ignored)
+     * @returns {number} Repair per second
+     */
+    getRate(conditions = null) {
+        if (!conditions) return this.repairRate;
+        return this.repairRate * getWorkerTraitMultiplier(this.traits, conditions);
+    }
+
+    /**
+     * Get the traits this worker has
+     * @returns {Array<Object>} Trait definitions
+     */
+    getTraits() {
+        return this.traits.map(traitId => WorkerTraitData[traitId]);
+    }
+
+    /**
+     * Credit repair work to this worker's lifetime total and experience
+     * @param {number} amount - Repair points contributed
+     */
+    addWork(amount) {
+        this.totalRepairs += amount;
+        this.xp += amount / this.baseRepairRate;
+    }
+
+    /**
+     * Catch the level up with the XP earned, and refresh the repair rate
+     * @param {number} levelCap - Highest level allowed
+     * @returns {number} Levels gained
+     */
+    updateLevel(levelCap) {
+        let level = Math.min(this.level, levelCap);
+        while (level < levelCap && this.xp >= getWorkerLevelXP(level + 1)) {
+            level++;
+        }
+
+        const gained = level - this.level;
+        this.level = level;
+        this.repairRate = this.baseRepairRate * getWorkerRateMultiplier(level);
+        return gained;
+    }
+
+    /**
+     * Get progress through the current level
+     * @param {number} levelCap - Highest level allowed
+     * @returns {{current: number, needed: number, maxed: boolean}} XP into the level and XP the level takes
+     */
+    getLevelProgress(levelCap) {
+        const levelXP = getWorkerLevelXP(this.level);
+        return {
+            current: this.xp - levelXP,
+            needed: getWorkerLevelXP(this.level + 1) - levelXP,
+            maxed: this.level >= levelCap
+        };
+    }
+
     /**
      * Get current repair rate (with potential bonuses)
      * @param {number} [rateMultiplier=1] - Bonus multiplier
@@ -46,11 +111,25 @@ class Worker {
     serialize() {
         return {
             id: this.id,
+            name: this.name,
+            traits: [...this.traits],
             hiredAt: this.hiredAt,
-            totalRepairs: this.totalRepairs
+            totalRepairs: this.totalRepairs,
+            xp: this.xp,
+            assignment: this.assignment
         };
     }
 
+    /**
+     * Check the shape of an assignment value (bay indexes are checked against the bay count elsewhere)
+     * @param {*} assignment - Assignment to check
+     * @returns {boolean} True for null, 'queue' or a bay index
+     */
+    static isValidAssignment(assignment) {
+        return assignment === null || assignment === 'queue' ||
+            (Number.isInteger(assignment) && assignment >= 0);
+    }
+
     /**
      * Create a worker from saved data
      * @param {Object} data - Saved worker data
@@ -64,8 +143,12 @@ class Worker {
         }
 
         const worker = new Worker(workerDef);
-        worker.hiredAt = data.hiredAt || Date.now();
+        worker.name = data.name || workerDef.name;
+        worker.traits = Array.isArray(data.traits) ? data.traits.filter(traitId => WorkerTraitData[traitId]) : [];
+        worker.hiredAt = data.hiredAt || GameClock.now();
         worker.totalRepairs = data.totalRepairs || 0;
+        worker.xp = data.xp || 0; // Level follows once GameState applies the level cap
+        worker.assignment = Worker.isValidAssignment(data.assignment) ? data.assignment : null;
         return worker;
     }
 }
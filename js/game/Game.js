@@ -3,9 +3,10 @@
  */
 class Game {
     constructor() {
-        // Core state
-        this.state = new GameState();
-        this.audioManager = new AudioManager();
+        // Core state (gameplay randomness is saved with the state; cosmetic isn't)
+        this.random = new RandomService();
+        this.state = new GameState(this.random);
+        this.audioManager = new AudioManager(this.random.cosmetic);
 
         // Progression system (before other systems that depend on it)
         this.progressionSystem = new ProgressionSystem(this.state);
@@ -14,10 +15,10 @@ class Game {
         // Systems
         this.clickSystem = new ClickSystem(this.state);
         this.upgradeSystem = new UpgradeSystem(this.state);
-        this.workerSystem = new WorkerSystem(this.state);
-        this.carQueueSystem = new CarQueueSystem(this.state, this.progressionSystem);
+        this.workerSystem = new WorkerSystem(this.state, this.random.gameplay, this.clickSystem);
+        this.carQueueSystem = new CarQueueSystem(this.state, this.progressionSystem, this.random.gameplay);
         this.achievementSystem = new AchievementSystem(this.state);
-        this.jobBoardSystem = new JobBoardSystem(this.state, this.progressionSystem);
+        this.jobBoardSystem = new JobBoardSystem(this.state, this.progressionSystem, this.random.gameplay);
 
         // Initialize repair completion service
         RepairCompletionService.init(this.state, this.progressionSystem);
@@ -26,14 +27,22 @@ class Game {
         this.renderer = new Renderer('game-canvas');
 
         // UI
-        this.uiManager = new UIManager(this.state);
+        this.uiManager = new UIManager(this.state, this.random.cosmetic);
         this.shopUI = new ShopUI(this.upgradeSystem, this.workerSystem);
         this.statsUI = new StatsUI(this.state, this.clickSystem, this.workerSystem);
-        this.newsTicker = new NewsTicker(this.state);
+        this.newsTicker = new NewsTicker(this.state, this.random.cosmetic);
         this.jobBoardUI = new JobBoardUI(this.jobBoardSystem, this.state);
-
-        // Save manager
-        this.saveManager = new SaveManager(this.state);
+        this.crewUI = new CrewUI(this.workerSystem, this.state);
+
+        // Save manager (replays time away on load)
+        this.offlineProgressSystem = new OfflineProgressSystem(this.state, this.carQueueSystem, this.progressionSystem);
+        this.saveManager = new SaveManager(this.state, this.offlineProgressSystem);
+        this.tabLock = new TabLock({
+            onReleaseRequested: () => this.yieldToOtherTab(true),
+            onLost: () => this.yieldToOtherTab(false)
+        });
+        this.tabLockModal = null;
+        this.tabTakeOverResolve = null;
 
         // Prestige system
         this.prestigeSystem = new PrestigeSystem(this.state, this.audioManager);
@@ -42,14 +51,27 @@ class Game {
         this.setupAudioEvents();
 
         // Particle System
-        this.particleSystem = new ParticleSystem();
+        this.particleSystem = new ParticleSystem(this.random.cosmetic);
         this.setupParticleEvents();
 
         // Game loop
         this.gameLoop = new GameLoop(
             (dt) => this.update(dt),
-            (interp) => this.render(interp)
+            (interp) => this.render(interp),
+            (gapMs) => this.catchUp(gapMs)
         );
+        this.sessionRecorder = new SessionRecorder(this.gameLoop);
+        this.replaying = false;
+
+        // Developer tools (hidden until toggled)
+        this.devTools = new DevToolsSystem(
+            this.state,
+            this.progressionSystem,
+            this.carQueueSystem,
+            this.jobBoardSystem,
+            this.achievementSystem
+        );
+        this.devPanel = new DevPanel(this);
 
         // Settings modal state
         this.settingsModal = null;
@@ -64,9 +86,11 @@ class Game {
         this.collapsiblePanels = [];
         this.sidebarPanelState = {};
         this.sidebarPanelStorageKey = 'gato-garage:sidebar-panels';
+        this.displaySettingsStorageKey = 'gato-garage:display-settings';
 
-        // Track car changes for UI sync
-        this.lastCarId = null;
+        // Track car changes for UI sync (the car panel follows the last clicked bay)
+        this.lastDisplayedCar = null;
+        this.selectedBay = 0;
 
         // Setup
         this.setupClickHandler();
@@ -76,40 +100,60 @@ class Game {
         this.setupKeyboardShortcuts();
         this.setupSettingsModal();
         this.setupStartModal();
+        this.setupTabLockModal();
     }
 
     setupAudioEvents() {
-        EventBus.on(GameEvents.CLICK_PERFORMED, () => this.audioManager.playClick());
-        EventBus.on(GameEvents.CAR_REPAIRED, () => this.audioManager.playCoin());
-        EventBus.on(GameEvents.UPGRADE_PURCHASED, () => this.audioManager.playPurchase());
-        EventBus.on(GameEvents.WORKER_HIRED, () => this.audioManager.playPurchase());
-        EventBus.on(GameEvents.NIP_UPGRADE_PURCHASED, () => this.audioManager.playPurchase());
-        EventBus.on(GameEvents.ACHIEVEMENT_UNLOCKED, () => this.audioManager.playUnlock());
-        EventBus.on(GameEvents.LEVEL_UP, () => this.audioManager.playUnlock());
-        EventBus.on(GameEvents.TIER_UP, () => this.audioManager.playUnlock());
+        EventBus.on(GameEvents.CLICK_PERFORMED, this.whenLive(() => this.audioManager.playClick()));
+        EventBus.on(GameEvents.CAR_REPAIRED, this.whenLive(() => this.audioManager.playCoin()));
+        EventBus.on(GameEvents.UPGRADE_PURCHASED, this.whenLive(() => this.audioManager.playPurchase()));
+        EventBus.on(GameEvents.WORKER_HIRED, this.whenLive(() => this.audioManager.playPurchase()));
+        EventBus.on(GameEvents.NIP_UPGRADE_PURCHASED, this.whenLive(() => this.audioManager.playPurchase()));
+        EventBus.on(GameEvents.ACHIEVEMENT_UNLOCKED, this.whenLive(() => this.audioManager.playUnlock()));
+        EventBus.on(GameEvents.LEVEL_UP, this.whenLive(() => this.audioManager.playUnlock()));
+        EventBus.on(GameEvents.TIER_UP, this.whenLive(() => this.audioManager.playUnlock()));
+    }
+
+    /**
+     * Wrap an effect handler so it's skipped while the loop is skipping ahead or
+     * a recording is replaying (hours of repairs would otherwise queue thousands
+     * of sounds and particles)
+     * @param {Function} handler - Event handler
+     * @returns {Function} Guarded handler
+     */
+    whenLive(handler) {
+        return (data) => {
+            if (this.replaying) return;
+            if (this.gameLoop && this.gameLoop.isSkipping()) return;
+            handler(data);
+        };
     }
 
     setupParticleEvents() {
-        EventBus.on(GameEvents.CLICK_PERFORMED, (data) => {
+        EventBus.on(GameEvents.CLICK_PERFORMED, this.whenLive((data) => {
             this.particleSystem.spawnClickSparks(data.x, data.y, data.isCrit ? '#ffff00' : '#ffffff');
-        });
-        EventBus.on(GameEvents.CAR_REPAIRED, () => {
-            // Center of screen/car for cash
-            this.particleSystem.spawnCashParticles(160, 130, 100);
-        });
+        }));
+        EventBus.on(GameEvents.CAR_REPAIRED, this.whenLive((data) => {
+            // Cash bursts from the top of the bay the car left
+            const bay = BayLayout.getBay(data.bay, this.state.bays.length);
+            this.particleSystem.spawnCashParticles(bay.x + bay.size / 2, bay.y, 100);
+        }));
         EventBus.on(GameEvents.ACHIEVEMENT_UNLOCKED, (data) => {
-            this.particleSystem.spawnConfetti(320, 288);
+            this.whenLive(() => this.particleSystem.spawnConfetti(320, 288))();
             this.newsTicker.addNews(`ACHIEVEMENT: ${data.achievement.name}!`);
         });
         EventBus.on(GameEvents.LEVEL_UP, (level) => {
-            this.particleSystem.spawnConfetti(320, 288);
+            this.whenLive(() => this.particleSystem.spawnConfetti(320, 288))();
             this.newsTicker.addNews(`LEVEL UP! Garage is now level ${level}`);
         });
         EventBus.on(GameEvents.TIER_UP, (tier) => {
             this.newsTicker.addNews(`TIER UP! Now serving Tier ${tier} cars!`);
         });
-        EventBus.on(GameEvents.WORKER_HIRED, (worker) => {
-            this.newsTicker.addNews(`HIRED: ${worker.name} joined the crew.`);
+        EventBus.on(GameEvents.WORKER_HIRED, (data) => {
+            this.newsTicker.addNews(`HIRED: ${data.worker.name} joined the crew as a ${data.worker.role}.`);
+        });
+        EventBus.on(GameEvents.WORKER_LEVEL_UP, (data) => {
+            this.newsTicker.addNews(`CREW: ${data.worker.name} reached level ${data.level}!`);
         });
         EventBus.on(GameEvents.NIP_UPGRADE_PURCHASED, (data) => {
             this.newsTicker.addNews(`NIP UPGRADE: ${data.upgrade.name} Lv.${data.newLevel}`);
@@ -128,15 +172,33 @@ class Game {
 
     /**
      * Initialize and start the game
+     * @returns {Promise<void>}
      */
-    init() {
+    async init() {
         console.log('Initializing Gato Garage...');
 
+        // Don't touch storage while another tab owns the save
+        if (!(await this.tabLock.acquire())) {
+            this.saveManager.setReadOnly(true);
+            await new Promise((resolve) => {
+                this.tabTakeOverResolve = resolve;
+                this.showTabLockModal();
+            });
+        }
+
+        // Stored settings and the save slot index load before anything reads them
+        await GameStorage.init();
+        await this.audioManager.loadSettings();
+        this.updateMusicSettings();
+        await this.loadSidebarPanelState();
+        await this.loadDisplaySettings();
+        await this.saveManager.init();
+
         // Initial UI render before start choice
         this.refreshUI();
         this.updateSaveStatus();
 
-        if (this.saveManager.hasSave()) {
+        if (this.saveManager.hasAnySave()) {
             this.showStartModal();
         } else {
             this.startNewGame();
@@ -150,6 +212,17 @@ class Game {
      * @param {number} deltaMs - Time since last update in milliseconds
      */
     update(deltaMs) {
+        this.updateSystems(deltaMs);
+
+        // Update particle system
+        this.particleSystem.update(deltaMs);
+    }
+
+    /**
+     * Advance the simulation systems (no visuals); also used by skipAhead()
+     * @param {number} deltaMs - Time step in milliseconds
+     */
+    updateSystems(deltaMs) {
         // Update click system (combo decay)
         this.clickSystem.update(deltaMs);
 
@@ -161,25 +234,59 @@ class Game {
 
         // Update car queue
         this.carQueueSystem.update(deltaMs);
+    }
 
-        // Update particle system
-        this.particleSystem.update(deltaMs);
+    /**
+     * Apply a gap the loop couldn't step through (the tab was hidden, so no frames ran)
+     * @param {number} gapMs - Game time since the last frame
+     */
+    catchUp(gapMs) {
+        const report = this.catchUpSystems(gapMs);
+
+        this.refreshUI();
+        this.checkAscensionStatus();
+
+        // Short hitches just carry on; a real absence gets the summary
+        if (gapMs >= this.offlineProgressSystem.minOfflineTime) {
+            this.reportOfflineProgress(report);
+        }
+    }
+
+    /**
+     * Apply a gap to the simulation systems (no UI); also used to replay recorded gaps
+     * @param {number} gapMs - Game time to apply
+     * @returns {Object} Offline progress plus contracts expired and achievements unlocked
+     */
+    catchUpSystems(gapMs) {
+        this.clickSystem.update(gapMs);
+        const contractsExpired = this.jobBoardSystem.catchUp(gapMs);
+        const progress = this.offlineProgressSystem.catchUp(gapMs);
+        const achievementsUnlocked = this.achievementSystem.checkAchievements();
+        this.ensureActiveCar();
 
-        // Update UI for current car
-        if (this.state.currentCar) {
+        EventBus.emit(GameEvents.TIME_CAUGHT_UP, { gapMs });
+        return { ...progress, contractsExpired, achievementsUnlocked };
+    }
+
+    /**
+     * Sync per-frame UI with the state (once per rendered frame, however many updates ran)
+     */
+    syncFrameUI() {
+        // Update UI for the displayed bay's car
+        const car = this.getDisplayedCar();
+        if (car) {
             // Check for car switch (sync UI text)
-            if (this.state.currentCar.id !== this.lastCarId) {
-                this.uiManager.updateCurrentCar(this.state.currentCar);
-                this.lastCarId = this.state.currentCar.id;
+            if (car !== this.lastDisplayedCar) {
+                this.uiManager.updateCurrentCar(car);
+                this.lastDisplayedCar = car;
             }
 
             // Sync progress bar (every frame)
-            const progress = this.state.currentCar.getProgressPercent();
-            this.uiManager.updateRepairProgress(progress);
+            this.uiManager.updateRepairProgress(car.getProgressPercent());
         } else {
-            if (this.lastCarId !== null) {
+            if (this.lastDisplayedCar !== null) {
                 this.uiManager.updateCurrentCar(null);
-                this.lastCarId = null;
+                this.lastDisplayedCar = null;
             }
             this.uiManager.updateRepairProgress(0);
         }
@@ -196,18 +303,31 @@ class Game {
         this.checkAscensionStatus();
     }
 
+    /**
+     * Get the car shown in the car panel: the last clicked bay's car, or the
+     * first car in any bay while that bay is empty
+     * @returns {Car|null} Car or null if every bay is empty
+     */
+    getDisplayedCar() {
+        const selected = this.state.getBayCar(this.selectedBay);
+        if (selected) return selected;
+
+        const occupied = this.state.getOccupiedBays();
+        return occupied.length > 0 ? this.state.getBayCar(occupied[0]) : null;
+    }
+
     checkAscensionStatus() {
         const claimable = this.prestigeSystem.calculateClaimableNip();
         const btn = document.getElementById('open-ascension-btn');
         if (btn) {
             if (claimable > 0) {
                 btn.classList.remove('hidden');
-                btn.textContent = `ASCENSION AVAIL (+${claimable})`;
+                btn.textContent = `ASCENSION AVAIL (+${NumberFormatter.format(claimable)})`;
             } else {
                 // If they have earned any Nip, keep this available as a shop/status entrypoint.
                 if ((this.state.totalPrestigeEarned || 0) > 0) {
                     btn.classList.remove('hidden');
-                    btn.textContent = `NIP SHOP (${this.state.prestigeCurrency})`;
+                    btn.textContent = `NIP SHOP (${NumberFormatter.format(this.state.prestigeCurrency)})`;
                 } else {
                     btn.classList.add('hidden');
                 }
@@ -224,8 +344,8 @@ class Game {
         const earnedTotal = (this.state.totalPrestigeEarned || 0) + claimable;
         const newMultiplier = (1 + earnedTotal * 0.05).toFixed(2);
 
-        document.getElementById('current-nip').textContent = current;
-        document.getElementById('claimable-nip').textContent = claimable > 0 ? `+${claimable}` : '0';
+        document.getElementById('current-nip').textContent = NumberFormatter.format(current);
+        document.getElementById('claimable-nip').textContent = claimable > 0 ? `+${NumberFormatter.format(claimable)}` : '0';
         document.getElementById('next-multiplier').textContent = `x${newMultiplier}`;
 
         const ascendBtn = document.getElementById('ascend-btn');
@@ -255,7 +375,7 @@ class Game {
         const balanceEl = document.getElementById('nip-balance');
         if (!listEl || !balanceEl) return;
 
-        balanceEl.textContent = String(this.state.prestigeCurrency);
+        balanceEl.textContent = NumberFormatter.format(this.state.prestigeCurrency);
         listEl.innerHTML = '';
 
         const upgrades = this.nipShopSystem.getAllUpgradeInfo();
@@ -269,7 +389,7 @@ class Game {
 
             const costText = upgrade.isMaxed
                 ? 'MAXED'
-                : `${upgrade.cost} NIP`;
+                : `${NumberFormatter.format(upgrade.cost)} NIP`;
 
             row.innerHTML = `
                 <div class="nip-shop-header">
@@ -306,6 +426,8 @@ class Game {
      * @param {number} interpolation - Frame interpolation (0-1)
      */
     render(interpolation) {
+        this.syncFrameUI();
+
         // Inject particle system into state for renderer (cleanest way without changing renderer signature too much)
         this.state.particleSystem = this.particleSystem;
         this.renderer.render(this.state, interpolation);
@@ -358,9 +480,14 @@ class Game {
         const rect = this.renderer.canvas.getBoundingClientRect();
         if (rect.width <= 0 || rect.height <= 0) return;
 
-        const centerX = rect.width * 0.5;
-        const centerY = rect.height * 0.62;
-        this.handleClick(centerX, centerY);
+        // Click the middle of the displayed car's bay
+        const car = this.getDisplayedCar();
+        const bay = car ? this.state.bays.findIndex(b => b.car === car) : 0;
+        const center = BayLayout.getCenter(bay, this.state.bays.length);
+        this.handleClick(
+            (center.x / this.renderer.internalWidth) * rect.width,
+            (center.y / this.renderer.internalHeight) * rect.height
+        );
     }
 
     /**
@@ -387,9 +514,12 @@ class Game {
         const result = this.clickSystem.handleClick(x, y);
 
         if (result) {
-            // Update car info
-            if (this.state.currentCar) {
-                this.uiManager.updateCurrentCar(this.state.currentCar);
+            // Show the clicked bay's car in the car panel
+            this.selectedBay = result.bay;
+            const car = this.getDisplayedCar();
+            if (car) {
+                this.uiManager.updateCurrentCar(car);
+                this.lastDisplayedCar = car;
             }
         }
     }
@@ -422,9 +552,7 @@ class Game {
         const ascendBtn = document.getElementById('ascend-btn');
         if (ascendBtn) {
             ascendBtn.addEventListener('click', () => {
-                if (this.prestigeSystem.prestige()) {
-                    this.carQueueSystem.forceSpawn();
-                    this.jobBoardSystem.refreshContracts(true);
+                if (this.ascend()) {
                     this.saveManager.save(); // Save the new state immediately
                     this.hideAscensionModal();
                     this.refreshUI(); // Refresh everything
@@ -445,6 +573,20 @@ class Game {
         }
     }
 
+    /**
+     * Ascend and start the new run (also used to replay recorded ascensions)
+     * @returns {boolean} True if the player ascended
+     */
+    ascend() {
+        if (!this.prestigeSystem.prestige()) {
+            return false;
+        }
+
+        this.carQueueSystem.forceSpawn();
+        this.jobBoardSystem.refreshContracts(true);
+        return true;
+    }
+
     setupSidebarTabs() {
         const tabsContainer = document.getElementById('sidebar-tabs');
         if (!tabsContainer) return;
@@ -491,17 +633,10 @@ class Game {
         );
         if (this.collapsiblePanels.length === 0) return;
 
-        this.sidebarPanelState = this.readSidebarPanelState();
-
         this.collapsiblePanels.forEach((detailsEl) => {
-            const panelEl = detailsEl.closest('.ui-panel');
-            const panelKey = panelEl && panelEl.id ? panelEl.id : detailsEl.id;
+            const panelKey = this.getPanelKey(detailsEl);
             if (!panelKey) return;
 
-            if (Object.prototype.hasOwnProperty.call(this.sidebarPanelState, panelKey)) {
-                detailsEl.open = Boolean(this.sidebarPanelState[panelKey]);
-            }
-
             detailsEl.addEventListener('toggle', () => {
                 this.sidebarPanelState[panelKey] = detailsEl.open;
                 this.writeSidebarPanelState();
@@ -509,29 +644,68 @@ class Game {
         });
     }
 
-    readSidebarPanelState() {
-        try {
-            const raw = localStorage.getItem(this.sidebarPanelStorageKey);
-            if (!raw) return {};
+    getPanelKey(detailsEl) {
+        const panelEl = detailsEl.closest('.ui-panel');
+        return panelEl && panelEl.id ? panelEl.id : detailsEl.id;
+    }
 
-            const parsed = JSON.parse(raw);
-            return parsed && typeof parsed === 'object' ? parsed : {};
-        } catch (error) {
-            return {};
+    /**
+     * Restore which sidebar panels were collapsed last session
+     * @returns {Promise<void>}
+     */
+    async loadSidebarPanelState() {
+        const parsed = await GameStorage.getJSON(this.sidebarPanelStorageKey, {});
+        this.sidebarPanelState = parsed && typeof parsed === 'object' ? parsed : {};
+
+        this.collapsiblePanels.forEach((detailsEl) => {
+            const panelKey = this.getPanelKey(detailsEl);
+            if (panelKey && Object.prototype.hasOwnProperty.call(this.sidebarPanelState, panelKey)) {
+                detailsEl.open = Boolean(this.sidebarPanelState[panelKey]);
+            }
+        });
+    }
+
+    /**
+     * Restore display settings (number notation) from last session
+     * @returns {Promise<void>}
+     */
+    async loadDisplaySettings() {
+        const settings = await GameStorage.getJSON(this.displaySettingsStorageKey, {});
+        if (settings && typeof settings.notation === 'string') {
+            NumberFormatter.setNotation(settings.notation);
         }
+        this.syncNotationSelect();
     }
 
-    writeSidebarPanelState() {
-        try {
-            localStorage.setItem(
-                this.sidebarPanelStorageKey,
-                JSON.stringify(this.sidebarPanelState || {})
-            );
-        } catch (error) {
-            // Ignore storage failures (private mode/quota) and keep runtime behavior.
+    /**
+     * Switch number notation everywhere and remember it
+     * @param {string} notation - NumberFormatter notation key
+     * @returns {boolean} True if the notation exists
+     */
+    setNotation(notation) {
+        if (!NumberFormatter.setNotation(notation)) return false;
+
+        GameStorage.setJSON(this.displaySettingsStorageKey, { notation });
+        this.syncNotationSelect();
+        this.refreshUI();
+        return true;
+    }
+
+    /**
+     * Show the current notation in the settings picker
+     */
+    syncNotationSelect() {
+        const select = document.getElementById('notation-select');
+        if (select) {
+            select.value = NumberFormatter.getNotation();
         }
     }
 
+    writeSidebarPanelState() {
+        // Failures (private mode/quota) are logged and runtime behavior is kept.
+        GameStorage.setJSON(this.sidebarPanelStorageKey, this.sidebarPanelState || {});
+    }
+
     setMobileSidebarPanel(panelName) {
         this.activeMobilePanel = panelName || 'garage';
         const isMobile = this.mobileSidebarQuery
@@ -577,6 +751,12 @@ class Game {
                 return;
             }
 
+            if (event.code === 'Backquote' && event.shiftKey) {
+                event.preventDefault();
+                this.devPanel.toggle();
+                return;
+            }
+
             if (key === 'o') {
                 event.preventDefault();
                 const isOpen = this.settingsModal && !this.settingsModal.classList.contains('hidden');
@@ -615,6 +795,11 @@ class Game {
             return true;
         }
 
+        if (this.devPanel.isOpen()) {
+            this.devPanel.toggle(false);
+            return true;
+        }
+
         return false;
     }
 
@@ -649,6 +834,23 @@ class Game {
             importBtn.addEventListener('click', () => this.importSave());
         }
 
+        // Save file buttons
+        const downloadBtn = document.getElementById('download-save-btn');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.downloadSave());
+        }
+
+        const fileInput = document.getElementById('save-file-input');
+        const loadFileBtn = document.getElementById('load-file-btn');
+        if (loadFileBtn && fileInput) {
+            loadFileBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                fileInput.value = ''; // Allow picking the same file again
+                if (file) this.loadSaveFile(file);
+            });
+        }
+
         // Clear saves button
         const clearBtn = document.getElementById('clear-save-btn');
         if (clearBtn) {
@@ -661,49 +863,49 @@ class Game {
             });
         }
 
-        // Music/SFX controls
+        // Music/SFX controls (values are filled in by updateMusicSettings() once stored settings load)
         const musicVolume = document.getElementById('music-volume');
-        const musicVolumeValue = document.getElementById('music-volume-value');
-        const sfxVolume = document.getElementById('sfx-volume'); // New
-        const sfxVolumeValue = document.getElementById('sfx-volume-value'); // New
+        const sfxVolume = document.getElementById('sfx-volume');
         const musicMute = document.getElementById('music-mute');
 
-        const { musicVolume: volMusic, sfxVolume: volSfx, muted } = this.audioManager.getSettings();
-
         // Music slider
         if (musicVolume) {
-            musicVolume.value = String(Math.round(volMusic * 100));
             musicVolume.addEventListener('input', (event) => {
                 const percent = Number(event.target.value) || 0;
                 this.audioManager.setMusicVolume(percent / 100);
                 this.updateVolumeLabel('music-volume-value', percent);
             });
         }
-        if (musicVolumeValue) {
-            this.updateVolumeLabel('music-volume-value', Math.round(volMusic * 100));
-        }
 
         // SFX slider
         if (sfxVolume) {
-            sfxVolume.value = String(Math.round(volSfx * 100));
             sfxVolume.addEventListener('input', (event) => {
                 const percent = Number(event.target.value) || 0;
                 this.audioManager.setSfxVolume(percent / 100);
                 this.updateVolumeLabel('sfx-volume-value', percent);
             });
         }
-        if (sfxVolumeValue) {
-            this.updateVolumeLabel('sfx-volume-value', Math.round(volSfx * 100));
-        }
 
         // Mute toggle
         if (musicMute) {
-            musicMute.checked = muted;
             musicMute.addEventListener('change', (event) => {
                 this.audioManager.setMuted(event.target.checked);
             });
         }
 
+        // Number notation picker
+        const notationSelect = document.getElementById('notation-select');
+        if (notationSelect) {
+            Object.entries(NumberFormatter.notations).forEach(([key, notation]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = notation.label;
+                notationSelect.appendChild(option);
+            });
+            notationSelect.value = NumberFormatter.getNotation();
+            notationSelect.addEventListener('change', (event) => this.setNotation(event.target.value));
+        }
+
         // Confirm modal buttons
         const confirmYes = document.getElementById('confirm-yes-btn');
         const confirmNo = document.getElementById('confirm-no-btn');
@@ -743,21 +945,275 @@ class Game {
         this.startModal = document.getElementById('start-modal');
         const continueBtn = document.getElementById('continue-save-btn');
         const newGameBtn = document.getElementById('new-game-btn');
+        const createSlotBtn = document.getElementById('slot-create-btn');
+        const renameSlotBtn = document.getElementById('slot-rename-btn');
+        const duplicateSlotBtn = document.getElementById('slot-duplicate-btn');
+        const deleteSlotBtn = document.getElementById('slot-delete-btn');
+
+        this.selectedSlotId = null; // Picked when the slot picker first renders
+
+        if (continueBtn) {
+            continueBtn.addEventListener('click', () => {
+                this.saveManager.setActiveSlot(this.selectedSlotId);
+                this.continueFromSave();
+            });
+        }
+
+        if (newGameBtn) {
+            newGameBtn.addEventListener('click', () => {
+                const startInSlot = () => {
+                    this.saveManager.setActiveSlot(this.selectedSlotId);
+                    this.startNewGame();
+                };
+
+                if (this.saveManager.hasSave(this.selectedSlotId)) {
+                    this.showConfirm(
+                        'Overwrite Slot?',
+                        'Starting a new game here will replace this slot\'s save on the next save.',
+                        startInSlot
+                    );
+                } else {
+                    startInSlot();
+                }
+            });
+        }
+
+        if (createSlotBtn) {
+            createSlotBtn.addEventListener('click', () => {
+                const slot = this.saveManager.createSlot(this.readSlotNameInput());
+                this.selectedSlotId = slot.id;
+                this.renderSlotPicker();
+            });
+        }
+
+        if (renameSlotBtn) {
+            renameSlotBtn.addEventListener('click', () => {
+                const name = this.readSlotNameInput();
+                if (!this.saveManager.renameSlot(this.selectedSlotId, name)) {
+                    EventBus.emit(GameEvents.NOTIFICATION, { message: 'Type a slot name first!' });
+                    return;
+                }
+                this.renderSlotPicker();
+            });
+        }
+
+        if (duplicateSlotBtn) {
+            duplicateSlotBtn.addEventListener('click', async () => {
+                const slot = await this.saveManager.duplicateSlot(this.selectedSlotId);
+                if (!slot) {
+                    EventBus.emit(GameEvents.NOTIFICATION, { message: 'Failed to copy slot!' });
+                    return;
+                }
+                this.selectedSlotId = slot.id;
+                this.renderSlotPicker();
+            });
+        }
+
+        if (deleteSlotBtn) {
+            deleteSlotBtn.addEventListener('click', () => {
+                const slot = this.saveManager.getSlot(this.selectedSlotId);
+                if (!slot) return;
+
+                this.showConfirm(
+                    'Delete Slot?',
+                    `"${slot.name}" and its save will be permanently deleted.`,
+                    async () => {
+                        await this.saveManager.deleteSlot(slot.id);
+                        this.selectedSlotId = this.saveManager.getActiveSlot().id;
+                        this.renderSlotPicker();
+                    }
+                );
+            });
+        }
+    }
+
+    /**
+     * Read and clear the slot name field in the start modal
+     * @returns {string} Entered name (may be empty)
+     */
+    readSlotNameInput() {
+        const input = document.getElementById('slot-name-input');
+        if (!input) return '';
+
+        const name = input.value.trim();
+        input.value = '';
+        return name;
+    }
+
+    /**
+     * Render save slots with their metadata in the start modal
+     */
+    renderSlotPicker() {
+        const listEl = document.getElementById('slot-list');
         const startMessage = document.getElementById('start-message');
+        const continueBtn = document.getElementById('continue-save-btn');
+        if (!listEl) return;
+
+        const slots = this.saveManager.listSlots();
+        if (!slots.some(slot => slot.id === this.selectedSlotId)) {
+            this.selectedSlotId = this.saveManager.getActiveSlot().id;
+        }
+
+        listEl.innerHTML = '';
+        slots.forEach((slot) => {
+            const selected = slot.id === this.selectedSlotId;
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `slot-item${selected ? ' selected' : ''}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(selected));
+
+            const nameEl = document.createElement('div');
+            nameEl.className = 'slot-item-name';
+            nameEl.textContent = slot.name;
+
+            const metaEl = document.createElement('div');
+            metaEl.className = 'slot-item-meta';
+            if (slot.hasSave && slot.meta) {
+                const lastSaved = slot.meta.lastSaved
+                    ? new Date(slot.meta.lastSaved).toLocaleString()
+                    : 'Unknown';
+                metaEl.innerHTML = `
+                    Lv ${slot.meta.garageLevel} | ${NumberFormatter.format(slot.meta.prestigeCurrency)} Nip
+                    | ${NumberFormatter.formatTime(slot.meta.totalPlayTime)}<br>
+                    Saved ${lastSaved}
+                `;
+            } else {
+                metaEl.textContent = 'Empty slot';
+            }
+
+            item.appendChild(nameEl);
+            item.appendChild(metaEl);
+            item.addEventListener('click', () => {
+                this.selectedSlotId = slot.id;
+                this.renderSlotPicker();
+            });
+
+            listEl.appendChild(item);
+        });
+
+        const selectedHasSave = this.saveManager.hasSave(this.selectedSlotId);
+        if (continueBtn) {
+            continueBtn.disabled = !selectedHasSave;
+        }
 
         if (startMessage) {
-            startMessage.textContent = this.saveManager.hasSave()
-                ? 'Save data found. Continue your garage or start over?'
+            startMessage.textContent = this.saveManager.hasAnySave()
+                ? 'Pick a save slot to continue, or start a new garage in it.'
                 : 'Start a new garage?';
         }
+    }
 
-        if (continueBtn) {
-            continueBtn.addEventListener('click', () => this.continueFromSave());
+    /**
+     * Setup the "open in another tab" overlay
+     */
+    setupTabLockModal() {
+        this.tabLockModal = document.getElementById('tab-lock-modal');
+        const takeOverBtn = document.getElementById('tab-takeover-btn');
+        if (takeOverBtn) {
+            takeOverBtn.addEventListener('click', () => this.takeOverTab(takeOverBtn));
         }
+    }
 
-        if (newGameBtn) {
-            newGameBtn.addEventListener('click', () => this.startNewGame());
+    /**
+     * Show the "open in another tab" overlay
+     */
+    showTabLockModal() {
+        if (this.tabLockModal) {
+            this.tabLockModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide the "open in another tab" overlay
+     */
+    hideTabLockModal() {
+        if (this.tabLockModal) {
+            this.tabLockModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Stop writing and pause because another tab is taking over the save
+     * @param {boolean} flush - Save first (clean hand-off) or not (lock was stolen)
+     * @returns {Promise<void>}
+     */
+    async yieldToOtherTab(flush) {
+        // Stop first so nothing changes or autosaves after the flush
+        this.saveManager.stopAutoSave();
+        if (this.runtimeStarted) {
+            this.gameLoop.pause();
+            this.audioManager.stop();
+        }
+
+        // TabLock releases once this resolves, i.e. after the save has settled
+        if (flush && this.runtimeStarted) {
+            await this.saveManager.save();
+        }
+
+        this.saveManager.setReadOnly(true);
+        this.showTabLockModal();
+        console.log('Save handed to another tab');
+    }
+
+    /**
+     * Take the save back from whichever tab owns it
+     * @param {HTMLButtonElement} button - Take-over button (disabled while waiting)
+     * @returns {Promise<void>}
+     */
+    async takeOverTab(button) {
+        button.disabled = true;
+        let acquired = false;
+        try {
+            acquired = await this.tabLock.takeOver();
+        } catch (error) {
+            console.error('Failed to take over save:', error);
+        }
+        button.disabled = false;
+
+        if (!acquired) {
+            EventBus.emit(GameEvents.NOTIFICATION, { message: 'Could not take over the save. Try again.' });
+            return;
+        }
+
+        this.saveManager.setReadOnly(false);
+        this.hideTabLockModal();
+
+        // First start in this tab: init() continues from here
+        if (this.tabTakeOverResolve) {
+            this.tabTakeOverResolve();
+            this.tabTakeOverResolve = null;
+            return;
+        }
+
+        await this.resumeAfterTakeOver();
+    }
+
+    /**
+     * Pick up whatever the other tab saved and carry on
+     * @returns {Promise<void>}
+     */
+    async resumeAfterTakeOver() {
+        await this.saveManager.init();
+        this.selectedSlotId = null;
+
+        if (!this.runtimeStarted) {
+            // Still on the start screen
+            this.renderSlotPicker();
+            return;
         }
+
+        if (this.saveManager.hasSave()) {
+            const offlineProgress = await this.saveManager.load();
+            if (offlineProgress !== null) {
+                this.refreshAfterLoad(offlineProgress);
+            }
+        }
+
+        this.saveManager.startAutoSave();
+        this.gameLoop.resume();
+        this.audioManager.start();
+        EventBus.emit(GameEvents.NOTIFICATION, { message: 'Playing in this tab now.' });
     }
 
     /**
@@ -777,22 +1233,26 @@ class Game {
      */
     refreshUI() {
         this.uiManager.updateAll();
+        this.lastDisplayedCar = null; // Next frame shows the selected bay's car again
         this.shopUI.renderUpgrades();
         this.shopUI.renderWorkers();
         this.statsUI.forceUpdate();
         if (this.jobBoardUI) {
             this.jobBoardUI.render();
         }
+        if (this.crewUI) {
+            this.crewUI.render();
+        }
     }
 
     /**
-     * Ensure the player has a current car after state loads
+     * Ensure the player has a car to work on after state loads
      */
     ensureActiveCar() {
-        if (!this.state.currentCar && this.state.carQueue.length === 0) {
+        if (this.state.getOccupiedBays().length === 0 && this.state.carQueue.length === 0) {
             this.carQueueSystem.forceSpawn();
-        } else if (!this.state.currentCar && this.state.carQueue.length > 0) {
-            this.state.currentCar = this.state.carQueue.shift();
+        } else {
+            this.carQueueSystem.fillBays();
         }
     }
 
@@ -800,6 +1260,7 @@ class Game {
      * Show startup modal
      */
     showStartModal() {
+        this.renderSlotPicker();
         if (this.startModal) {
             this.startModal.classList.remove('hidden');
         }
@@ -819,6 +1280,8 @@ class Game {
      */
     startNewGame() {
         this.hideStartModal();
+        this.saveManager.clearMigrationHistory();
+        this.random.reseed(); // Each run gets its own replayable sequence
         this.state.reset();
         this.state.recalculateStats();
         this.jobBoardSystem.refreshContracts(true);
@@ -832,26 +1295,18 @@ class Game {
     /**
      * Continue from local save
      */
-    continueFromSave() {
-        const offlineProgress = this.saveManager.load();
+    async continueFromSave() {
+        const offlineProgress = await this.saveManager.load();
         if (offlineProgress === null) {
             EventBus.emit(GameEvents.NOTIFICATION, { message: 'Save load failed. Starting new game.' });
             this.startNewGame();
             return;
         }
 
-        this.state.recalculateStats();
-        this.jobBoardSystem.reconcileAfterLoad();
-        this.ensureActiveCar();
-        this.refreshUI();
+        this.refreshAfterLoad(offlineProgress);
         this.hideStartModal();
-        this.checkAscensionStatus();
         EventBus.emit(GameEvents.NOTIFICATION, { message: 'Loaded saved game!' });
 
-        if (offlineProgress.earnings > 0) {
-            EventBus.emit(GameEvents.OFFLINE_EARNINGS, offlineProgress);
-        }
-
         this.startRuntime();
     }
 
@@ -861,6 +1316,7 @@ class Game {
     openSettings() {
         this.updateSaveStatus();
         this.updateMusicSettings();
+        this.renderBackupList();
         if (this.settingsModal) {
             this.settingsModal.classList.remove('hidden');
         }
@@ -922,12 +1378,13 @@ class Game {
         const loadBtn = document.getElementById('load-game-btn');
 
         if (statusEl) {
+            const slotName = this.saveManager.getActiveSlot().name;
             if (this.saveManager.hasSave()) {
-                statusEl.textContent = 'Save data found!';
+                statusEl.textContent = `Save data found in "${slotName}"!`;
                 statusEl.className = 'save-status has-save';
                 if (loadBtn) loadBtn.disabled = false;
             } else {
-                statusEl.textContent = 'No saved game found.';
+                statusEl.textContent = `No saved game in "${slotName}".`;
                 statusEl.className = 'save-status no-save';
                 if (loadBtn) loadBtn.disabled = true;
             }
@@ -946,36 +1403,18 @@ class Game {
         this.showConfirm(
             'Load Saved Game?',
             'This will replace your current progress with the saved game.',
-            () => {
+            async () => {
                 console.log('Attempting to load saved game...');
-                const offlineProgress = this.saveManager.load();
+                const offlineProgress = await this.saveManager.load();
 
                 // offlineProgress can be { earnings: 0, time: 0 } which is truthy
                 // We need to check if load actually succeeded
                 if (offlineProgress !== null) {
                     console.log('Load returned:', offlineProgress);
-
-                    // Recalculate all stats from loaded data
-                    this.state.recalculateStats();
-                    this.jobBoardSystem.reconcileAfterLoad();
-                    console.log('Stats recalculated:', {
-                        clickPower: this.state.clickPower,
-                        autoRepairRate: this.state.autoRepairRate,
-                        currency: this.state.currency
-                    });
-
-                    this.ensureActiveCar();
-                    this.refreshUI();
-                    this.uiManager.updateQueueStatus(this.carQueueSystem.getQueueInfo());
-                    this.checkAscensionStatus();
+                    this.refreshAfterLoad(offlineProgress);
 
                     EventBus.emit(GameEvents.NOTIFICATION, { message: 'Game loaded!' });
                     this.closeSettings();
-
-                    // Show offline earnings if any
-                    if (offlineProgress.earnings > 0) {
-                        EventBus.emit(GameEvents.OFFLINE_EARNINGS, offlineProgress);
-                    }
                 } else {
                     console.error('Load failed - returned null');
                     EventBus.emit(GameEvents.NOTIFICATION, { message: 'Failed to load save!' });
@@ -984,14 +1423,139 @@ class Game {
         );
     }
 
+    /**
+     * Rebuild derived state and UI after save data replaced the live state
+     * @param {Object|null} [offlineProgress=null] - Result of the load, reported once everything has caught up
+     */
+    refreshAfterLoad(offlineProgress = null) {
+        // Recalculate all stats from loaded data
+        this.state.recalculateStats();
+        const contractsExpired = this.jobBoardSystem.reconcileAfterLoad();
+        const achievementsUnlocked = this.achievementSystem.checkAchievements();
+        console.log('Stats recalculated:', {
+            clickPower: this.state.clickPower,
+            autoRepairRate: this.state.autoRepairRate,
+            currency: this.state.currency.toString()
+        });
+
+        this.ensureActiveCar();
+        this.refreshUI();
+        this.uiManager.updateQueueStatus(this.carQueueSystem.getQueueInfo());
+        this.updateSaveStatus();
+        this.checkAscensionStatus();
+
+        if (offlineProgress && offlineProgress.time > 0) {
+            this.reportOfflineProgress({ ...offlineProgress, contractsExpired, achievementsUnlocked });
+        }
+    }
+
+    /**
+     * Show the welcome-back report if anything happened while away
+     * @param {Object} report - Offline progress plus contracts expired and achievements unlocked
+     */
+    reportOfflineProgress(report) {
+        const somethingHappened = report.earnings.gt(0) ||
+            report.xpGained > 0 ||
+            report.contractsExpired.length > 0 ||
+            report.achievementsUnlocked.length > 0;
+
+        if (somethingHappened) {
+            EventBus.emit(GameEvents.OFFLINE_EARNINGS, report);
+        }
+    }
+
+    /**
+     * Render the active slot's backups in the settings modal
+     */
+    async renderBackupList() {
+        const listEl = document.getElementById('backup-list');
+        if (!listEl) return;
+
+        const reasonLabels = {
+            auto: 'Auto-save',
+            prestige: 'Before ascending',
+            import: 'Before import',
+            replay: 'Before replay',
+            restore: 'Before restore'
+        };
+
+        const backups = await this.saveManager.readBackups();
+        listEl.innerHTML = '';
+
+        if (backups.length === 0) {
+            const emptyEl = document.createElement('div');
+            emptyEl.className = 'backup-empty';
+            emptyEl.textContent = 'No backups yet. One is kept every auto-save.';
+            listEl.appendChild(emptyEl);
+            return;
+        }
+
+        backups.forEach((backup, index) => {
+            const item = document.createElement('div');
+            item.className = 'backup-item';
+
+            const info = document.createElement('div');
+            const nameEl = document.createElement('div');
+            nameEl.className = 'slot-item-name';
+            nameEl.textContent = reasonLabels[backup.reason] || 'Backup';
+
+            const metaEl = document.createElement('div');
+            metaEl.className = 'slot-item-meta';
+            const stats = backup.stats || {};
+            metaEl.innerHTML = `
+                ${new Date(backup.timestamp).toLocaleString()}<br>
+                ${NumberFormatter.formatCurrency(stats.currency || 0)} | Lv ${stats.garageLevel || 1}
+                | ${NumberFormatter.format(stats.prestigeCurrency || 0)} Nip
+            `;
+
+            info.appendChild(nameEl);
+            info.appendChild(metaEl);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'menu-btn';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => this.restoreBackup(index));
+
+            item.appendChild(info);
+            item.appendChild(restoreBtn);
+            listEl.appendChild(item);
+        });
+    }
+
+    /**
+     * Roll the current slot back to a backup after confirmation
+     * @param {number} index - Index into the slot's backup list
+     */
+    async restoreBackup(index) {
+        const backup = (await this.saveManager.readBackups())[index];
+        if (!backup) return;
+
+        this.showConfirm(
+            'Restore Backup?',
+            `This will replace your current progress with the backup from ${new Date(backup.timestamp).toLocaleString()}. Your current progress is kept as a backup.`,
+            async () => {
+                const offlineProgress = await this.saveManager.restoreBackup(index);
+
+                if (offlineProgress !== null) {
+                    this.refreshAfterLoad(offlineProgress);
+                    EventBus.emit(GameEvents.NOTIFICATION, { message: 'Backup restored!' });
+                } else {
+                    EventBus.emit(GameEvents.NOTIFICATION, { message: 'Backup could not be restored!' });
+                }
+                this.renderBackupList();
+            }
+        );
+    }
+
     /**
      * Export save to textarea
      */
-    exportSave() {
+    async exportSave() {
         // Save current state first
-        this.saveManager.save();
+        await this.saveManager.save();
 
-        const exportData = this.saveManager.exportSave();
+        const exportData = await this.saveManager.exportSave();
         const textarea = document.getElementById('save-data-text');
 
         if (textarea && exportData) {
@@ -1018,21 +1582,101 @@ class Game {
         this.showConfirm(
             'Import Save?',
             'This will replace your current progress with the imported save.',
-            () => {
-                const success = this.saveManager.importSave(importData);
+            async () => {
+                const offlineProgress = await this.saveManager.importSave(importData);
 
-                if (success) {
-                    this.state.recalculateStats();
-                    this.jobBoardSystem.reconcileAfterLoad();
-                    this.ensureActiveCar();
-                    this.refreshUI();
-                    this.updateSaveStatus();
-                    this.checkAscensionStatus();
+                if (offlineProgress !== null) {
+                    this.refreshAfterLoad(offlineProgress);
 
                     EventBus.emit(GameEvents.NOTIFICATION, { message: 'Save imported!' });
                     textarea.value = '';
                     this.closeSettings();
                 } else {
+                    // A failed import can still have rolled the slot back to a backup
+                    if (this.saveManager.lastLoadRecovered) this.refreshAfterLoad();
+                    EventBus.emit(GameEvents.NOTIFICATION, { message: 'Invalid save data!' });
+                }
+            }
+        );
+    }
+
+    /**
+     * Download the current save as a .gatosave file
+     */
+    async downloadSave() {
+        await this.saveManager.save();
+
+        const exportData = await this.saveManager.exportSave();
+        if (!exportData) {
+            EventBus.emit(GameEvents.NOTIFICATION, { message: 'No save to download!' });
+            return;
+        }
+
+        const slotName = this.saveManager.getActiveSlot().name
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'save';
+        const date = new Date().toISOString().slice(0, 10);
+
+        const url = URL.createObjectURL(new Blob([exportData], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gato-garage-${slotName}-${date}.gatosave`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        EventBus.emit(GameEvents.NOTIFICATION, { message: 'Save downloaded!' });
+    }
+
+    /**
+     * Validate a .gatosave file and, after a preview confirm, load it into the current slot
+     * @param {File} file - File picked by the player
+     */
+    async loadSaveFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Failed to read save file:', error);
+            EventBus.emit(GameEvents.NOTIFICATION, { message: 'Could not read that file!' });
+            return;
+        }
+
+        const { meta, problem } = await this.saveManager.readImport(text);
+        if (problem) {
+            EventBus.emit(GameEvents.NOTIFICATION, {
+                message: `Invalid save file: ${problem}`,
+                type: 'warning',
+                duration: 5000
+            });
+            return;
+        }
+
+        const slotName = this.saveManager.getActiveSlot().name;
+        const savedAt = meta.lastSaved ? new Date(meta.lastSaved).toLocaleString() : 'Unknown';
+        const preview = [
+            `Level ${meta.garageLevel}`,
+            `Cash ${NumberFormatter.formatCurrency(meta.currency)}`,
+            `${NumberFormatter.format(meta.prestigeCurrency)} Nip`,
+            `Played ${NumberFormatter.formatTime(meta.totalPlayTime)}`,
+            `Saved ${savedAt}`
+        ].join('\n');
+
+        this.showConfirm(
+            'Load Save File?',
+            `${file.name}\n\n${preview}\n\nThis will replace the save in "${slotName}".`,
+            async () => {
+                const offlineProgress = await this.saveManager.importSave(text);
+
+                if (offlineProgress !== null) {
+                    this.refreshAfterLoad(offlineProgress);
+                    EventBus.emit(GameEvents.NOTIFICATION, { message: 'Save file loaded!' });
+                    this.closeSettings();
+                } else {
+                    // A failed import can still have rolled the slot back to a backup
+                    if (this.saveManager.lastLoadRecovered) this.refreshAfterLoad();
                     EventBus.emit(GameEvents.NOTIFICATION, { message: 'Invalid save data!' });
                 }
             }
@@ -1042,8 +1686,8 @@ class Game {
     /**
      * Clear all saves
      */
-    clearAllSaves() {
-        this.saveManager.deleteSave();
+    async clearAllSaves() {
+        await this.saveManager.deleteAllSaves();
         this.updateSaveStatus();
         EventBus.emit(GameEvents.NOTIFICATION, { message: 'All saves cleared!' });
     }
@@ -1080,14 +1724,23 @@ class Game {
 
     /**
      * Save and stop the game (for page unload)
+     * The tab lock is only released once the save has settled, so a tab
+     * waiting to take over never reads the save mid-write.
+     * @returns {Promise<void>}
      */
-    shutdown() {
-        this.saveManager.save();
+    async shutdown() {
+        // Closing a hidden tab: count the time it sat in the background first
+        this.gameLoop.catchUpNow();
         this.saveManager.stopAutoSave();
         this.statsUI.stop();
         if (this.jobBoardUI) this.jobBoardUI.stopTimer();
+        if (this.crewUI) this.crewUI.stopTimer();
         this.gameLoop.stop();
         this.audioManager.stop();
+
+        this.saveManager.saveOnUnload();
+        await this.saveManager.save();
+        this.tabLock.release();
         console.log('Game shutdown');
     }
 
@@ -1105,6 +1758,273 @@ class Game {
         this.gameLoop.resume();
     }
 
+    /**
+     * Change the game speed (developer tool)
+     * @param {number} scale - Game seconds per real second, 0.25 to 100
+     * @returns {number} The scale applied
+     */
+    setTimeScale(scale) {
+        const applied = this.gameLoop.setTimeScale(scale);
+        EventBus.emit(GameEvents.TIME_SCALE_CHANGED, { scale: applied });
+        return applied;
+    }
+
+    /**
+     * Simulate the next few minutes at once, without rendering (developer tool)
+     * @param {number} minutes - Game minutes to skip
+     * @returns {number} Milliseconds skipped
+     */
+    skipAhead(minutes) {
+        const durationMs = Math.max(0, Number(minutes) || 0) * 60 * 1000;
+        if (durationMs <= 0) return 0;
+
+        const before = this.state.totalEarned;
+        this.gameLoop.skipAhead(durationMs, (dt) => this.updateSystems(dt));
+        EventBus.emit(GameEvents.TIME_SKIPPED, { durationMs });
+
+        this.refreshUI();
+        this.checkAscensionStatus();
+        EventBus.emit(GameEvents.NOTIFICATION, {
+            message: `Skipped ${NumberFormatter.formatTime(durationMs)} (+${NumberFormatter.formatCurrency(this.state.totalEarned.sub(before))})`
+        });
+        return durationMs;
+    }
+
+    /**
+     * Start recording the session (developer tool; see SessionRecorder)
+     * @returns {boolean} True if a new recording started
+     */
+    startRecording() {
+        if (this.sessionRecorder.isRecording()) return false;
+
+        this.sessionRecorder.start(this.captureSnapshot());
+        EventBus.emit(GameEvents.NOTIFICATION, { message: 'Recording started.' });
+        return true;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} The recording (null if nothing was being recorded)
+     */
+    stopRecording() {
+        const recording = this.sessionRecorder.stop(this.state.serialize());
+        if (recording) {
+            EventBus.emit(GameEvents.NOTIFICATION, {
+                message: `Recording stopped (${recording.actions.length} actions, ${NumberFormatter.formatTime(recording.endTime)}).`
+            });
+        }
+        return recording;
+    }
+
+    /**
+     * Everything a replay needs to start from the current moment
+     * (the serialized state plus the system timers a save doesn't keep)
+     * @returns {Object} { state, systems }
+     */
+    captureSnapshot() {
+        return {
+            state: this.state.serialize(),
+            systems: {
+                comboMultiplier: this.clickSystem.comboMultiplier,
+                lastClickTime: this.clickSystem.lastClickTime,
+                spawnTimer: this.carQueueSystem.spawnTimer,
+                refreshTimer: this.jobBoardSystem.refreshTimer,
+                bayStartTimes: this.state.bays.map(bay => bay.startTime),
+                lastCarRepairedAt: this.state.lastCarRepairedAt
+            }
+        };
+    }
+
+    /**
+     * Put the state and system timers back to a captured snapshot
+     * @param {Object} snapshot - { state, systems } from captureSnapshot()
+     */
+    restoreSnapshot({ state, systems }) {
+        this.state.deserialize(state);
+        // Recordings made before service bays kept a single start time
+        const startTimes = systems.bayStartTimes || [systems.currentCarStartTime];
+        this.state.bays.forEach((bay, index) => {
+            bay.startTime = bay.car ? (startTimes[index] ?? null) : null;
+        });
+        this.state.lastCarRepairedAt = systems.lastCarRepairedAt;
+        this.clickSystem.comboMultiplier = systems.comboMultiplier;
+        this.clickSystem.lastClickTime = systems.lastClickTime;
+        this.carQueueSystem.spawnTimer = systems.spawnTimer;
+        this.jobBoardSystem.refreshTimer = systems.refreshTimer;
+    }
+
+    /**
+     * Replay a recording through the game systems and check it ends in the recorded state
+     * Replaces the current progress with the replayed run, which then carries on in real time.
+     * @param {Object} recording - Recording from stopRecording() or SessionRecorder.parse()
+     * @returns {Object} { matched, differences, firstDrift } - differing state fields and the
+     *   first action that ran at a different game time than recorded (null if none)
+     */
+    replayRecording(recording) {
+        this.sessionRecorder.cancel();
+        const wasPaused = this.gameLoop.isPaused();
+        this.gameLoop.pause();
+
+        GameClock.useManualTime(recording.startTime);
+        this.restoreSnapshot(recording.start);
+
+        const timestep = recording.timestep;
+        let step = 0;
+        let firstDrift = null;
+        const runTo = (targetStep) => {
+            for (; step < targetStep; step++) {
+                GameClock.advance(timestep);
+                this.updateSystems(timestep);
+            }
+        };
+
+        this.replaying = true;
+        try {
+            recording.actions.forEach((action) => {
+                runTo(action.step);
+                this.applyRecordedAction(action);
+                if (!firstDrift && GameClock.now() - recording.startTime !== action.time) {
+                    firstDrift = action;
+                }
+            });
+            runTo(recording.endStep);
+        } finally {
+            this.replaying = false;
+        }
+
+        const differences = SessionRecorder.compare(
+            recording.final,
+            SessionRecorder.fingerprint(this.state.serialize())
+        );
+
+        // Back to wall-clock time (at the current speed) from the replayed state
+        GameClock.useRealTime();
+        this.gameLoop.setTimeScale(this.gameLoop.getTimeScale());
+        this.lastDisplayedCar = null;
+        this.refreshUI();
+        this.checkAscensionStatus();
+        if (!wasPaused) {
+            this.gameLoop.resume();
+        }
+
+        const matched = differences.length === 0;
+        if (matched) {
+            EventBus.emit(GameEvents.NOTIFICATION, {
+                message: `Replay matches the recording (${recording.actions.length} actions).`
+            });
+        } else {
+            console.warn('Replay differs from the recording:', { differences, firstDrift });
+            EventBus.emit(GameEvents.NOTIFICATION, {
+                message: `Replay differs from the recording: ${differences.join(', ')}`,
+                type: 'warning',
+                duration: 8000
+            });
+        }
+
+        return { matched, differences, firstDrift };
+    }
+
+    /**
+     * Apply one recorded action through the handler the player used
+     * @param {Object} action - Recorded action (see SessionRecorder)
+     */
+    applyRecordedAction(action) {
+        switch (action.type) {
+            case 'click':
+                this.clickSystem.handleClick(action.x, action.y);
+                break;
+            case 'upgrade':
+                this.upgradeSystem.purchase(action.id);
+                break;
+            case 'hire':
+                this.workerSystem.hire(action.id);
+                break;
+            case 'assign':
+                this.workerSystem.assign(action.worker, action.assignment);
+                break;
+            case 'nipUpgrade':
+                this.nipShopSystem.purchase(action.id);
+                break;
+            case 'acceptContract':
+                this.jobBoardSystem.acceptContract(action.id);
+                break;
+            case 'abandonContract':
+                this.jobBoardSystem.abandonActiveContract();
+                break;
+            case 'prestige':
+                this.ascend();
+                break;
+            case 'skip':
+                this.gameLoop.skipAhead(action.durationMs, (dt) => this.updateSystems(dt));
+                break;
+            case 'catchUp':
+                GameClock.advance(action.gapMs);
+                this.catchUpSystems(action.gapMs);
+                break;
+            case 'dev':
+                this.devTools.run(action.action, ...(action.args || []));
+                break;
+            default:
+                console.warn('Skipping unknown recorded action:', action.type);
+        }
+    }
+
+    /**
+     * Download a recording as a .gatorec file
+     * @param {Object} recording - Recording from stopRecording()
+     */
+    downloadRecording(recording) {
+        if (!recording) {
+            EventBus.emit(GameEvents.NOTIFICATION, { message: 'No recording to download!' });
+            return;
+        }
+
+        const stamp = recording.recordedAt.slice(0, 19).replace(/[:T]/g, '-');
+        const url = URL.createObjectURL(new Blob([SessionRecorder.stringify(recording)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gato-garage-recording-${stamp}.gatorec`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Validate a .gatorec file and, after a confirm, replay it
+     * @param {File} file - File picked in the developer panel
+     */
+    async loadRecordingFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Failed to read recording file:', error);
+            EventBus.emit(GameEvents.NOTIFICATION, { message: 'Could not read that file!' });
+            return;
+        }
+
+        const { recording, problem } = SessionRecorder.parse(text);
+        if (problem) {
+            EventBus.emit(GameEvents.NOTIFICATION, {
+                message: `Invalid recording: ${problem}`,
+                type: 'warning',
+                duration: 5000
+            });
+            return;
+        }
+
+        this.showConfirm(
+            'Replay Recording?',
+            `${file.name}\n\n${recording.actions.length} actions over ${NumberFormatter.formatTime(recording.endTime)}` +
+                `\n\nThis will replace your current progress with the replayed session.`,
+            async () => {
+                await this.saveManager.snapshot('replay');
+                this.replayRecording(recording);
+            }
+        );
+    }
+
     /**
      * Reset game to initial state
      * @param {boolean} [keepPrestige=false] - Keep prestige progress
@@ -1119,6 +2039,7 @@ class Game {
 
         // Reset state
         this.state.reset();
+        this.saveManager.clearMigrationHistory();
 
         // Restore prestige
         if (prestigeData) {
@@ -1137,6 +2058,7 @@ class Game {
         this.shopUI.renderUpgrades();
         this.shopUI.renderWorkers();
         if (this.jobBoardUI) this.jobBoardUI.render();
+        if (this.crewUI) this.crewUI.render();
         this.checkAscensionStatus();
 
         // Delete save
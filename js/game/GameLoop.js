@@ -3,19 +3,30 @@
  * Ensures consistent game logic regardless of frame rate
  */
 class GameLoop {
+    // Allowed range for setTimeScale()
+    static MIN_TIME_SCALE = 0.25;
+    static MAX_TIME_SCALE = 100;
+
+    // Step size used by skipAhead(); large, since nothing is rendered in between
+    static SKIP_STEP_MS = 250;
+
     /**
      * Create a new game loop
      * @param {Function} updateFn - Update function called with fixed timestep
      * @param {Function} renderFn - Render function called each frame
+     * @param {Function} [catchUpFn] - Called with long gaps while the tab was hidden (or minCatchUpGap+ gaps)
      */
-    constructor(updateFn, renderFn) {
+    constructor(updateFn, renderFn, catchUpFn = null) {
         this.update = updateFn;
         this.render = renderFn;
+        this.catchUp = catchUpFn;
 
         // Timing configuration
         this.targetFPS = 60;
         this.timestep = 1000 / this.targetFPS; // ~16.67ms per update
-        this.maxFrameTime = 250; // Cap to prevent spiral of death
+        this.maxFrameTime = 250; // Cap to prevent spiral of death (in real time)
+        this.minCatchUpGap = 60000; // Visible-tab gaps this long (e.g. the machine slept) are caught up too
+        this.timeScale = 1;
 
         // State
         this.running = false;
@@ -23,6 +34,17 @@ class GameLoop {
         this.lastTime = 0;
         this.accumulator = 0;
         this.frameId = null;
+        this.skipping = false;
+        this.steppedClock = false;
+        this.updateCount = 0; // Fixed updates run since the loop was created
+        this.hiddenSinceLastFrame = false; // Page was hidden since the last frame ran
+
+        // Browsers stop frames in hidden tabs; remember it so that gap is caught up on return
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) this.hiddenSinceLastFrame = true;
+            });
+        }
 
         // Performance tracking
         this.fps = 0;
@@ -41,7 +63,7 @@ class GameLoop {
 
         this.running = true;
         this.paused = false;
-        this.lastTime = performance.now();
+        this.lastTime = this.now();
         this.accumulator = 0;
         this.frameId = requestAnimationFrame(this.loop);
 
@@ -76,7 +98,7 @@ class GameLoop {
     resume() {
         if (this.paused) {
             this.paused = false;
-            this.lastTime = performance.now();
+            this.lastTime = this.now();
             this.accumulator = 0;
         }
     }
@@ -104,14 +126,10 @@ class GameLoop {
         // Schedule next frame immediately
         this.frameId = requestAnimationFrame(this.loop);
 
-        // Calculate frame time
-        let frameTime = currentTime - this.lastTime;
-        this.lastTime = currentTime;
-
-        // Cap frame time to prevent spiral of death
-        if (frameTime > this.maxFrameTime) {
-            frameTime = this.maxFrameTime;
-        }
+        // Calculate frame time in game time, so a scaled or manual GameClock drives the simulation (see now())
+        const gameTime = this.now();
+        let frameTime = gameTime - this.lastTime;
+        this.lastTime = gameTime;
 
         // Update FPS counter
         this.updateFPS(currentTime);
@@ -122,12 +140,26 @@ class GameLoop {
             return;
         }
 
+        // Gaps from a hidden tab go to the catch-up path in one go; other long frames
+        // (GC pauses, slow frames) are capped to prevent spiral of death (scaled, so fast speeds aren't clipped)
+        const maxFrameTime = this.maxFrameTime * this.timeScale;
+        if (this.isCatchUpGap(frameTime)) {
+            if (this.steppedClock) GameClock.advance(frameTime);
+            this.catchUp(frameTime);
+            frameTime = 0;
+        } else if (frameTime > maxFrameTime) {
+            frameTime = maxFrameTime;
+        }
+        this.hiddenSinceLastFrame = typeof document !== 'undefined' && document.hidden;
+
         // Accumulate time
         this.accumulator += frameTime;
 
         // Fixed timestep updates
         while (this.accumulator >= this.timestep) {
+            if (this.steppedClock) GameClock.advance(this.timestep);
             this.update(this.timestep);
+            this.updateCount++;
             this.accumulator -= this.timestep;
         }
 
@@ -137,6 +169,143 @@ class GameLoop {
         this.render(interpolation);
     }
 
+    /**
+     * Check whether a frame gap should go through the catch-up path instead of fixed updates
+     * Only gaps past maxFrameTime count, and only if the tab was hidden or the gap is minCatchUpGap+.
+     * @param {number} gap - Game time since the last frame
+     * @returns {boolean} True to catch up
+     */
+    isCatchUpGap(gap) {
+        if (!this.catchUp || gap <= this.maxFrameTime * this.timeScale) return false;
+        return this.hiddenSinceLastFrame || gap >= this.minCatchUpGap * this.timeScale;
+    }
+
+    /**
+     * Apply a pending gap now instead of on the next frame
+     * (a hidden tab gets no frames, so this runs the catch-up before saving on close)
+     */
+    catchUpNow() {
+        if (!this.running || this.paused || !this.catchUp) return;
+
+        const now = this.now();
+        const gap = now - this.lastTime;
+        if (this.isCatchUpGap(gap)) {
+            this.lastTime = now;
+            if (this.steppedClock) GameClock.advance(gap);
+            this.catchUp(gap);
+        }
+    }
+
+    /**
+     * Change how fast game time runs
+     * Speeds up the shared GameClock too, so timestamps (contract deadlines,
+     * combo timing) stay in step with the simulation. With a stepped clock only
+     * the number of updates per real second changes.
+     * @param {number} scale - Game seconds per real second (clamped to MIN/MAX_TIME_SCALE)
+     * @returns {number} The scale applied
+     */
+    setTimeScale(scale) {
+        const clamped = Math.min(GameLoop.MAX_TIME_SCALE, Math.max(GameLoop.MIN_TIME_SCALE, Number(scale) || 1));
+
+        if (!this.steppedClock) {
+            GameClock.useScaledTime(clamped);
+        }
+        this.timeScale = clamped;
+        this.lastTime = this.now();
+
+        return clamped;
+    }
+
+    /**
+     * Get the current time scale
+     * @returns {number} Game seconds per real second
+     */
+    getTimeScale() {
+        return this.timeScale;
+    }
+
+    /**
+     * Move GameClock only with fixed updates (and gaps/skips), instead of with the wall clock
+     * Game time at any point is then fully set by the updates run so far, so
+     * a recorded session can be replayed to the exact same timestamps.
+     * @param {boolean} enabled - Step the clock (true) or go back to scaled wall-clock time
+     */
+    useSteppedClock(enabled) {
+        if (enabled === this.steppedClock) return;
+
+        if (enabled) {
+            GameClock.useManualTime();
+        } else {
+            GameClock.useScaledTime(this.timeScale);
+        }
+        this.steppedClock = enabled;
+        this.lastTime = this.now();
+        this.accumulator = 0;
+    }
+
+    /**
+     * Check if the clock is stepped by updates
+     * @returns {boolean} True while stepped
+     */
+    isSteppedClock() {
+        return this.steppedClock;
+    }
+
+    /**
+     * Get how many fixed updates have run
+     * @returns {number} Update count
+     */
+    getUpdateCount() {
+        return this.updateCount;
+    }
+
+    /**
+     * Time the loop measures frames with: game time, or scaled wall-clock time
+     * while the clock is stepped (GameClock then only moves when the loop moves it)
+     * @returns {number} Milliseconds
+     */
+    now() {
+        return this.steppedClock ? Clock.realNow() * this.timeScale : GameClock.now();
+    }
+
+    /**
+     * Advance game time in large fixed steps without rendering
+     * @param {number} durationMs - Game time to skip
+     * @param {Function} [stepFn] - Called with each step's delta (defaults to the update function)
+     * @returns {number} Number of steps run
+     */
+    skipAhead(durationMs, stepFn = this.update) {
+        let remaining = Math.max(0, durationMs);
+        let steps = 0;
+
+        this.skipping = true;
+        try {
+            while (remaining > 0) {
+                const step = Math.min(GameLoop.SKIP_STEP_MS, remaining);
+                GameClock.advance(step);
+                stepFn(step);
+                remaining -= step;
+                steps++;
+            }
+        } finally {
+            this.skipping = false;
+        }
+
+        // The skipped time has been simulated; don't let the next frame count it again
+        this.lastTime = this.now();
+        this.accumulator = 0;
+
+        return steps;
+    }
+
+    /**
+     * Check if a skipAhead() is in progress
+     * @returns {boolean} True while skipping
+     */
+    isSkipping() {
+        return this.skipping;
+    }
+
     /**
      * Update FPS counter
      * @param {number} currentTime - Current timestamp
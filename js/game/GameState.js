@@ -3,7 +3,12 @@
  * All game state flows through this object
  */
 class GameState {
-    constructor() {
+    /**
+     * Create game state
+     * @param {RandomService} [random] - Random service whose gameplay stream is saved with the state
+     */
+    constructor(random = new RandomService()) {
+        this.random = random; // Survives reset() so a run's sequence carries through ascensions
         this.reset();
     }
 
@@ -11,10 +16,10 @@ class GameState {
      * Reset state to initial values
      */
     reset() {
-        // Currency
-        this.currency = 0;
-        this.totalEarned = 0;
-        this.totalSpent = 0;
+        // Currency (BigNum, so long runs don't lose precision or overflow)
+        this.currency = BigNum.ZERO;
+        this.totalEarned = BigNum.ZERO;
+        this.totalSpent = BigNum.ZERO;
 
         // Stats
         this.carsRepaired = 0;
@@ -32,6 +37,9 @@ class GameState {
         this.xpMultiplier = 1;         // Multiplicative XP bonus
         this.comboMaxBonus = 0;        // Additive max combo bonus
         this.comboGainBonus = 0;       // Additive combo gain bonus per click
+        this.offlineCapHours = 8;      // Longest absence that earns offline progress
+        this.offlineEfficiency = 0.5;  // Worker speed while away (1 = full speed)
+        this.workerLevelCap = WorkerLevelData.baseLevelCap; // Highest cat-maid level
 
         // Upgrades (id -> level)
         this.upgrades = {};
@@ -45,9 +53,9 @@ class GameState {
         this.workerCounts = {}; // id -> count (for cost calculation)
 
         // Cars
-        this.currentCar = null;
+        this.bayCount = 1; // Service bays (more from the serviceBay upgrade)
+        this.bays = [GameState.createBay()]; // Each bay repairs one car at a time
         this.carQueue = []; // Array of Car instances
-        this.currentCarStartTime = null;
         this.lastCarRepairedAt = 0;
         this.jobContracts = []; // Array of job board contracts
         this.activeJobContract = null; // Current accepted contract
@@ -58,9 +66,9 @@ class GameState {
         this.autoRepairRate = 0;
 
         // Time tracking
-        this.lastSaveTime = Date.now();
+        this.lastSaveTime = GameClock.now();
         this.totalPlayTime = 0;
-        this.sessionStartTime = Date.now();
+        this.sessionStartTime = GameClock.now();
 
         // Progression
         this.garageXP = 0;
@@ -71,20 +79,22 @@ class GameState {
         // Prestige
         this.prestigeCurrency = 0; // "Gato Nip"
         this.totalPrestigeEarned = 0; // Lifetime Nip earned (spent + unspent)
-        this.lifetimeEarnings = 0; // Total earned across all runs
+        this.lifetimeEarnings = BigNum.ZERO; // Total earned across all runs
         this.prestigeMultiplier = 1; // Multiplier from prestige
     }
 
     /**
      * Add currency to the player
-     * @param {number} amount - Base amount to add
-     * @returns {number} Actual amount added (after multipliers)
+     * @param {number|BigNum} amount - Base amount to add
+     * @param {boolean} [applyMultipliers=true] - Scale by income and prestige multipliers
+     * @returns {BigNum} Actual amount added (after multipliers)
      */
-    addCurrency(amount) {
-        const adjustedAmount = Math.floor(amount * this.incomeMultiplier * this.prestigeMultiplier);
-        this.currency += adjustedAmount;
-        this.totalEarned += adjustedAmount;
-        this.lifetimeEarnings += adjustedAmount;
+    addCurrency(amount, applyMultipliers = true) {
+        const multiplier = applyMultipliers ? this.incomeMultiplier * this.prestigeMultiplier : 1;
+        const adjustedAmount = BigNum.from(amount).mul(multiplier);
+        this.currency = this.currency.add(adjustedAmount);
+        this.totalEarned = this.totalEarned.add(adjustedAmount);
+        this.lifetimeEarnings = this.lifetimeEarnings.add(adjustedAmount);
         EventBus.emit(GameEvents.CURRENCY_CHANGED, this.currency);
         EventBus.emit(GameEvents.CURRENCY_EARNED, adjustedAmount);
         return adjustedAmount;
@@ -92,13 +102,13 @@ class GameState {
 
     /**
      * Spend currency
-     * @param {number} amount - Amount to spend
+     * @param {number|BigNum} amount - Amount to spend
      * @returns {boolean} True if successful
      */
     spendCurrency(amount) {
-        if (this.currency >= amount) {
-            this.currency -= amount;
-            this.totalSpent += amount;
+        if (this.currency.gte(amount)) {
+            this.currency = this.currency.sub(amount);
+            this.totalSpent = this.totalSpent.add(amount);
             EventBus.emit(GameEvents.CURRENCY_CHANGED, this.currency);
             EventBus.emit(GameEvents.CURRENCY_SPENT, amount);
             return true;
@@ -122,11 +132,11 @@ class GameState {
 
     /**
      * Check if player can afford an amount
-     * @param {number} amount - Amount to check
+     * @param {number|BigNum} amount - Amount to check
      * @returns {boolean} True if affordable
      */
     canAfford(amount) {
-        return this.currency >= amount;
+        return this.currency.gte(amount);
     }
 
     /**
@@ -150,12 +160,25 @@ class GameState {
         return this.autoRepairRate;
     }
 
+    /**
+     * Level up workers who have earned it (up to the level cap)
+     * Keeps autoRepairRate in step when anyone levels up.
+     * @returns {Array<Worker>} Workers who gained a level
+     */
+    updateWorkerLevels() {
+        const levelled = this.workers.filter(worker => worker.updateLevel(this.workerLevelCap) > 0);
+        if (levelled.length > 0) {
+            this.calculateAutoRepairRate();
+        }
+        return levelled;
+    }
+
     /**
      * Get current session play time
      * @returns {number} Time in milliseconds
      */
     getSessionTime() {
-        return Date.now() - this.sessionStartTime;
+        return GameClock.now() - this.sessionStartTime;
     }
 
     /**
@@ -203,16 +226,124 @@ class GameState {
         return this.workerCounts[workerId] || 0;
     }
 
+    /**
+     * Build a service bay entry
+     * @param {Car|null} [car=null] - Car already in the bay
+     * @returns {Object} Bay { car, startTime }
+     */
+    static createBay(car = null) {
+        return { car, startTime: car ? GameClock.now() : null };
+    }
+
+    /**
+     * Get the car in a service bay
+     * @param {number} index - Bay index
+     * @returns {Car|null} Car, or null if the bay is empty
+     */
+    getBayCar(index) {
+        const bay = this.bays[index];
+        return bay ? bay.car : null;
+    }
+
+    /**
+     * Put a car in a bay (restarting its clock) or clear it with null
+     * @param {number} index - Bay index
+     * @param {Car|null} car - Car to start repairing
+     */
+    setBayCar(index, car) {
+        this.bays[index] = GameState.createBay(car);
+
+        if (car) {
+            EventBus.emit(GameEvents.CAR_STARTED, {
+                car,
+                bay: index,
+                queueLength: this.carQueue.length
+            });
+        }
+    }
+
+    /**
+     * Get the bays that have a car in them
+     * @returns {Array<number>} Bay indices, left to right
+     */
+    getOccupiedBays() {
+        const occupied = [];
+        this.bays.forEach((bay, index) => {
+            if (bay.car) occupied.push(index);
+        });
+        return occupied;
+    }
+
+    /**
+     * Find the bay repairing a contract's car
+     * @param {string} contractId - Contract ID
+     * @returns {number} Bay index, or -1 if the car isn't in a bay
+     */
+    findContractBay(contractId) {
+        return this.bays.findIndex(bay => bay.car && bay.car.contractMeta && bay.car.contractMeta.id === contractId);
+    }
+
+    /**
+     * Match the bay list to bayCount
+     * Cars in bays that close (e.g. after ascending) go back to the front of the queue.
+     */
+    syncBays() {
+        while (this.bays.length < this.bayCount) {
+            this.bays.push(GameState.createBay());
+        }
+
+        if (this.bays.length > this.bayCount) {
+            const closed = this.bays.splice(this.bayCount);
+            this.carQueue.unshift(...closed.map(bay => bay.car).filter(Boolean));
+
+            // Workers posted to a closed bay go back to helping wherever needed
+            this.workers.forEach((worker) => {
+                if (Number.isInteger(worker.assignment) && worker.assignment >= this.bayCount) {
+                    worker.assignment = null;
+                }
+            });
+        }
+    }
+
+    /**
+     * Group the crew by where they work
+     * Workers assigned to a bay only work that bay (and wait while it is empty).
+     * Unassigned workers split across the busy bays: the i-th unassigned worker
+     * helps busy bay i mod count. Queue prep workers get waiting cars ready.
+     * @param {Array<boolean>} [busy] - Which bays have a car (defaults to the live bays)
+     * @returns {{bays: Array<Array<Worker>>, queuePrep: Array<Worker>}} Crew for each bay, plus queue prep
+     */
+    getCrews(busy = this.bays.map(bay => !!bay.car)) {
+        const crews = { bays: busy.map(() => []), queuePrep: [] };
+        const busyBays = [];
+        busy.forEach((isBusy, index) => {
+            if (isBusy) busyBays.push(index);
+        });
+
+        let autoIndex = 0;
+        this.workers.forEach((worker) => {
+            if (worker.assignment === 'queue') {
+                crews.queuePrep.push(worker);
+            } else if (Number.isInteger(worker.assignment) && worker.assignment < busy.length) {
+                crews.bays[worker.assignment].push(worker);
+            } else if (busyBays.length > 0) {
+                crews.bays[busyBays[autoIndex++ % busyBays.length]].push(worker);
+            }
+        });
+
+        return crews;
+    }
+
     /**
      * Serialize state for saving
      * @returns {Object} Serializable state object
      */
     serialize() {
         return {
-            // Currency
-            currency: this.currency,
-            totalEarned: this.totalEarned,
-            totalSpent: this.totalSpent,
+            // Currency (digit strings; see BigNum)
+            currency: this.currency.toString(),
+            totalEarned: this.totalEarned.toString(),
+            totalSpent: this.totalSpent.toString(),
 
             // Clicks
             totalClicks: this.totalClicks,
@@ -231,8 +362,8 @@ class GameState {
             workers: this.workers.map(w => w.serialize()),
             workerCounts: { ...this.workerCounts },
 
-            // Current car and queue
-            currentCar: this.currentCar ? this.currentCar.serialize() : null,
+            // Service bays (car or null each) and queue
+            bays: this.bays.map(bay => (bay.car ? bay.car.serialize() : null)),
             carQueue: this.carQueue.map(c => c.serialize()),
             jobContracts: [...this.jobContracts],
             activeJobContract: this.activeJobContract ? { ...this.activeJobContract } : null,
@@ -240,7 +371,7 @@ class GameState {
             contractsFailed: this.contractsFailed,
 
             // Time
-            lastSaveTime: Date.now(),
+            lastSaveTime: GameClock.now(),
             totalPlayTime: this.totalPlayTime + this.getSessionTime(),
 
             // Progression
@@ -252,19 +383,47 @@ class GameState {
             // Prestige
             prestigeCurrency: this.prestigeCurrency,
             totalPrestigeEarned: this.totalPrestigeEarned,
-            lifetimeEarnings: this.lifetimeEarnings
+            lifetimeEarnings: this.lifetimeEarnings.toString(),
+
+            // Gameplay RNG position, for exact replays
+            rng: this.random.serialize()
         };
     }
 
+    /**
+     * Move stored game-time deadlines by a fixed amount
+     * Used on load when the save's game clock and the current one disagree,
+     * so contracts keep the time they had left.
+     * @param {number} deltaMs - Milliseconds to add
+     */
+    shiftTimes(deltaMs) {
+        if (!deltaMs) return;
+
+        if (this.activeJobContract) {
+            this.activeJobContract.acceptedAt += deltaMs;
+            this.activeJobContract.expiresAt += deltaMs;
+        }
+        this.jobContracts.forEach((contract) => {
+            if (contract.createdAt) contract.createdAt += deltaMs;
+        });
+
+        const cars = [...this.bays.map(bay => bay.car), ...this.carQueue];
+        cars.forEach((car) => {
+            if (car && car.contractMeta && car.contractMeta.expiresAt) {
+                car.contractMeta.expiresAt += deltaMs;
+            }
+        });
+    }
+
     /**
      * Load state from saved data
      * @param {Object} data - Saved state object
      */
     deserialize(data) {
         // Currency
-        this.currency = data.currency || 0;
-        this.totalEarned = data.totalEarned || 0;
-        this.totalSpent = data.totalSpent || 0;
+        this.currency = BigNum.from(data.currency);
+        this.totalEarned = BigNum.from(data.totalEarned);
+        this.totalSpent = BigNum.from(data.totalSpent);
 
         // Clicks
         this.totalClicks = data.totalClicks || 0;
@@ -284,9 +443,9 @@ class GameState {
         this.workerCounts = data.workerCounts || {};
 
         // Cars
-        this.currentCar = data.currentCar ? Car.deserialize(data.currentCar) : null;
+        const savedBays = Array.isArray(data.bays) ? data.bays : [data.currentCar || null]; // Fallback for old saves
+        this.bays = savedBays.map(car => GameState.createBay(car ? Car.deserialize(car) : null));
         this.carQueue = (data.carQueue || []).map(c => Car.deserialize(c));
-        this.currentCarStartTime = this.currentCar ? Date.now() : null;
         this.lastCarRepairedAt = 0;
         this.jobContracts = Array.isArray(data.jobContracts) ? [...data.jobContracts] : [];
         this.activeJobContract = data.activeJobContract ? { ...data.activeJobContract } : null;
@@ -294,9 +453,9 @@ class GameState {
         this.contractsFailed = data.contractsFailed || 0;
 
         // Time
-        this.lastSaveTime = data.lastSaveTime || Date.now();
+        this.lastSaveTime = data.lastSaveTime || GameClock.now();
         this.totalPlayTime = data.totalPlayTime || 0;
-        this.sessionStartTime = Date.now();
+        this.sessionStartTime = GameClock.now();
 
         // Progression
         this.garageXP = data.garageXP || 0;
@@ -307,7 +466,10 @@ class GameState {
         // Prestige
         this.prestigeCurrency = data.prestigeCurrency || 0;
         this.totalPrestigeEarned = data.totalPrestigeEarned || this.prestigeCurrency;
-        this.lifetimeEarnings = data.lifetimeEarnings || this.totalEarned; // Fallback for old saves
+        this.lifetimeEarnings = BigNum.from(data.lifetimeEarnings ?? this.totalEarned); // Fallback for old saves
+
+        // Resume the gameplay RNG (older saves just keep the current sequence)
+        this.random.restore(data.rng);
 
         // Recalculate derived values
         this.recalculateStats();
@@ -327,6 +489,10 @@ class GameState {
         this.xpMultiplier = 1;
         this.comboMaxBonus = 0;
         this.comboGainBonus = 0;
+        this.offlineCapHours = 8;
+        this.offlineEfficiency = 0.5;
+        this.workerLevelCap = WorkerLevelData.baseLevelCap;
+        this.bayCount = 1;
 
         // Calculate prestige multiplier from lifetime Nip earned
         this.prestigeMultiplier = 1 + (this.totalPrestigeEarned * 0.05);
@@ -352,8 +518,10 @@ class GameState {
         }
 
         this.clickPower = Math.max(1, Math.floor(this.clickPower * this.clickPowerMultiplier));
+        this.syncBays();
 
-        // Calculate auto-repair rate
+        // Calculate auto-repair rate (worker levels follow the current cap)
+        this.workers.forEach(worker => worker.updateLevel(this.workerLevelCap));
         this.calculateAutoRepairRate();
     }
 
@@ -372,6 +540,9 @@ class GameState {
             case 'incomeMultiplier':
                 this.incomeMultiplier += effect.value;
                 break;
+            case 'bayCount':
+                this.bayCount += effect.value;
+                break;
         }
     }
 
@@ -402,6 +573,15 @@ class GameState {
             case 'xpMultiplier':
                 this.xpMultiplier += effect.value;
                 break;
+            case 'offlineCapHours':
+                this.offlineCapHours += effect.value;
+                break;
+            case 'offlineEfficiency':
+                this.offlineEfficiency = Math.min(1, this.offlineEfficiency + effect.value);
+                break;
+            case 'workerLevelCap':
+                this.workerLevelCap += effect.value;
+                break;
         }
     }
 }
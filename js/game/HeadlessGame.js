@@ -0,0 +1,203 @@
+/**
+ * HeadlessGame - The game's simulation systems without DOM, audio or rendering
+ * Used by balance tools to run many simulated hours on a manual GameClock.
+ * A policy object plays the game: its act(game, intervalMs) is called at a fixed interval
+ * and can click, buy, hire, take contracts and ascend through the methods below.
+ */
+class HeadlessGame {
+    /**
+     * Create a headless game
+     * @param {Object} [options]
+     * @param {number} [options.seed] - Gameplay RNG seed (random if omitted)
+     * @param {number} [options.startTime=0] - Game clock start time
+     * @param {number} [options.tickMs=250] - Simulation step size
+     */
+    constructor({ seed, startTime = 0, tickMs = 250 } = {}) {
+        GameClock.useManualTime(startTime);
+
+        this.random = new RandomService(seed);
+        this.state = new GameState(this.random);
+        this.tickMs = tickMs;
+
+        // Same wiring as Game, minus anything that touches the page
+        this.progressionSystem = new ProgressionSystem(this.state);
+        this.nipShopSystem = new NipShopSystem(this.state);
+        this.clickSystem = new ClickSystem(this.state);
+        this.upgradeSystem = new UpgradeSystem(this.state);
+        this.workerSystem = new WorkerSystem(this.state, this.random.gameplay, this.clickSystem);
+        this.carQueueSystem = new CarQueueSystem(this.state, this.progressionSystem, this.random.gameplay);
+        this.achievementSystem = new AchievementSystem(this.state);
+        this.jobBoardSystem = new JobBoardSystem(this.state, this.progressionSystem, this.random.gameplay);
+        this.prestigeSystem = new PrestigeSystem(this.state, null);
+        RepairCompletionService.init(this.state, this.progressionSystem);
+
+        this.elapsedMs = 0;
+        this.prestigeCount = 0;
+
+        this.state.recalculateStats();
+        this.carQueueSystem.forceSpawn();
+    }
+
+    /**
+     * Advance the simulation by one step
+     * @param {number} [deltaMs] - Step size (defaults to tickMs)
+     */
+    tick(deltaMs = this.tickMs) {
+        GameClock.advance(deltaMs);
+        this.elapsedMs += deltaMs;
+
+        // Same order as Game.update()
+        this.clickSystem.update(deltaMs);
+        this.workerSystem.update(deltaMs);
+        this.jobBoardSystem.update(deltaMs);
+        this.carQueueSystem.update(deltaMs);
+    }
+
+    /**
+     * Run for a stretch of game time, letting the policy act and sampling the state
+     * @param {number} durationMs - How long to simulate
+     * @param {Object} [options]
+     * @param {Object} [options.policy] - Player policy with act(game, intervalMs)
+     * @param {number} [options.decisionIntervalMs=1000] - How often the policy acts
+     * @param {number} [options.sampleIntervalMs=60000] - How often to record a timeline entry
+     * @param {Function} [options.onSample] - Called with each timeline entry
+     * @returns {Array<Object>} Timeline entries (see sample())
+     */
+    run(durationMs, { policy = null, decisionIntervalMs = 1000, sampleIntervalMs = 60000, onSample = null } = {}) {
+        const timeline = [];
+        const endMs = this.elapsedMs + durationMs;
+        let nextDecision = this.elapsedMs;
+        let nextSample = this.elapsedMs;
+
+        const record = () => {
+            const entry = this.sample();
+            timeline.push(entry);
+            if (onSample) onSample(entry);
+        };
+
+        while (this.elapsedMs < endMs) {
+            if (this.elapsedMs >= nextSample) {
+                record();
+                nextSample += sampleIntervalMs;
+            }
+
+            if (policy && this.elapsedMs >= nextDecision) {
+                policy.act(this, decisionIntervalMs);
+                nextDecision += decisionIntervalMs;
+            }
+
+            this.tick(Math.min(this.tickMs, endMs - this.elapsedMs));
+        }
+
+        record();
+        return timeline;
+    }
+
+    /**
+     * Snapshot the numbers balance work cares about
+     * (money as plain numbers, which is plenty for charts and reports)
+     * @returns {Object} Timeline entry
+     */
+    sample() {
+        return {
+            timeMs: this.elapsedMs,
+            currency: this.state.currency.toNumber(),
+            totalEarned: this.state.totalEarned.toNumber(),
+            lifetimeEarnings: this.state.lifetimeEarnings.toNumber(),
+            level: this.state.garageLevel,
+            tier: this.state.currentTier,
+            nip: this.state.prestigeCurrency,
+            totalNip: this.state.totalPrestigeEarned,
+            claimableNip: this.prestigeSystem.calculateClaimableNip(),
+            carsRepaired: this.state.carsRepaired,
+            workers: this.state.workers.length,
+            autoRepairRate: this.state.autoRepairRate,
+            prestiges: this.prestigeCount
+        };
+    }
+
+    // ----- Player actions (for policies) -----
+
+    /**
+     * Click a car in a service bay
+     * @param {number} [times=1] - Number of clicks
+     * @param {number} [bay] - Bay to click (the first bay with a car if omitted)
+     * @returns {number} Clicks that landed on a car
+     */
+    click(times = 1, bay) {
+        let landed = 0;
+        for (let i = 0; i < times; i++) {
+            const target = bay !== undefined ? bay : this.state.getOccupiedBays()[0];
+            if (target !== undefined) {
+                // Centre of the bay in internal resolution
+                const center = BayLayout.getCenter(target, this.state.bays.length);
+                if (this.clickSystem.handleClick(center.x, center.y)) {
+                    landed++;
+                }
+            }
+            this.carQueueSystem.fillBays();
+        }
+        return landed;
+    }
+
+    /**
+     * Buy one level of a shop upgrade
+     * @param {string} upgradeId - Upgrade ID
+     * @returns {boolean} True if purchased
+     */
+    buyUpgrade(upgradeId) {
+        return this.upgradeSystem.purchase(upgradeId);
+    }
+
+    /**
+     * Hire a worker
+     * @param {string} workerId - Worker type ID
+     * @returns {boolean} True if hired
+     */
+    hireWorker(workerId) {
+        return this.workerSystem.hire(workerId);
+    }
+
+    /**
+     * Post a hired worker to a bay, to queue prep, or back to any bay
+     * @param {number} workerIndex - Index into state.workers
+     * @param {number|string|null} assignment - Bay index, 'queue', or null
+     * @returns {boolean} True if assigned
+     */
+    assignWorker(workerIndex, assignment) {
+        return this.workerSystem.assign(workerIndex, assignment);
+    }
+
+    /**
+     * Buy one level of a Nip upgrade
+     * @param {string} upgradeId - Nip upgrade ID
+     * @returns {boolean} True if purchased
+     */
+    buyNipUpgrade(upgradeId) {
+        return this.nipShopSystem.purchase(upgradeId);
+    }
+
+    /**
+     * Accept a contract from the job board
+     * @param {string} contractId - Contract ID
+     * @returns {boolean} True if accepted
+     */
+    acceptContract(contractId) {
+        return this.jobBoardSystem.acceptContract(contractId).ok;
+    }
+
+    /**
+     * Ascend, following the same steps as the Ascend button
+     * @returns {boolean} True if the player ascended
+     */
+    prestige() {
+        if (!this.prestigeSystem.prestige()) {
+            return false;
+        }
+
+        this.prestigeCount++;
+        this.carQueueSystem.forceSpawn();
+        this.jobBoardSystem.refreshContracts(true);
+        return true;
+    }
+}
@@ -27,18 +27,25 @@ async function initGame() {
 
         // Create and initialize game
         game = new Game();
-        game.init();
+        await game.init();
 
         // Make game accessible from console for debugging
         window.game = game;
 
-        // Handle page visibility changes
+        // Handle page visibility changes. A hidden page may never come back,
+        // so keep a synchronous copy alongside the async save
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
+                game.saveManager.saveOnUnload();
                 game.saveManager.save();
             }
         });
 
+        // Last chance to save when the page is closed or navigated away
+        window.addEventListener('pagehide', () => {
+            game.saveManager.saveOnUnload();
+        });
+
         // Save before page unload
         window.addEventListener('beforeunload', () => {
             game.shutdown();
@@ -46,6 +53,7 @@ async function initGame() {
 
         console.log('Game initialized successfully!');
         console.log('Tip: Access "game" in console for debugging');
+        console.log('Tip: Press Shift + ` for developer tools, or try game.setTimeScale(10) / game.skipAhead(60)');
 
     } catch (error) {
         console.error('Failed to initialize game:', error);
@@ -2,7 +2,12 @@
  * ParticleSystem - Manages visual particles for juice/polish
  */
 class ParticleSystem {
-    constructor() {
+    /**
+     * Create particle system
+     * @param {RandomStream} rng - Cosmetic random stream
+     */
+    constructor(rng) {
+        this.rng = rng;
         this.particles = [];
     }
 
@@ -63,17 +68,17 @@ class ParticleSystem {
      * Spawn click sparks burst
      */
     spawnClickSparks(x, y, color = '#fff') {
-        const count = 5 + Math.random() * 5;
+        const count = 5 + this.rng.next() * 5;
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 1 + Math.random() * 3;
+            const angle = this.rng.next() * Math.PI * 2;
+            const speed = 1 + this.rng.next() * 3;
             this.spawn({
                 x, y,
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
-                life: 300 + Math.random() * 200,
+                life: 300 + this.rng.next() * 200,
                 color: color,
-                size: 1 + Math.random() * 2,
+                size: 1 + this.rng.next() * 2,
                 drag: 0.9
             });
         }
@@ -87,12 +92,12 @@ class ParticleSystem {
         const count = Math.min(5, 1 + Math.floor(amount / 100)); // Rough scaling
         for (let i = 0; i < count; i++) {
             this.spawn({
-                x: x + (Math.random() - 0.5) * 20,
+                x: x + (this.rng.next() - 0.5) * 20,
                 y: y,
-                vx: (Math.random() - 0.5) * 2,
-                vy: -2 - Math.random() * 2,
+                vx: (this.rng.next() - 0.5) * 2,
+                vy: -2 - this.rng.next() * 2,
                 gravity: 0.1,
-                life: 1000 + Math.random() * 500,
+                life: 1000 + this.rng.next() * 500,
                 color: '#4ade80', // Money green
                 type: 'text',
                 text: '$',
@@ -109,13 +114,13 @@ class ParticleSystem {
             this.spawn({
                 x: width / 2,
                 y: height / 2,
-                vx: (Math.random() - 0.5) * 10,
-                vy: (Math.random() - 0.5) * 10,
+                vx: (this.rng.next() - 0.5) * 10,
+                vy: (this.rng.next() - 0.5) * 10,
                 gravity: 0.1,
                 drag: 0.95,
-                life: 2000 + Math.random() * 1000,
-                color: `hsl(${Math.random() * 360}, 70%, 50%)`,
-                size: 2 + Math.random() * 3
+                life: 2000 + this.rng.next() * 1000,
+                color: `hsl(${this.rng.next() * 360}, 70%, 50%)`,
+                size: 2 + this.rng.next() * 3
             });
         }
     }
@@ -62,18 +62,9 @@ class Renderer {
         this.gatoFrame = 0;
         this.gatoAnimTimer = 0;
 
-        // Car transition effect state
-        this.lastCarId = null;
-        this.lastCarWasDamaged = true;
-        this.transitionEffect = {
-            active: false,
-            startTime: 0,
-            duration: 600, // ms
-            x: 0,
-            y: 0,
-            width: 0,
-            height: 0
-        };
+        // Car transition effect state, one entry per service bay (see getBayView)
+        this.bayViews = [];
+        this.transitionDuration = 600; // ms
 
         // Background image dimensions (for proper scaling)
         this.bgAspectRatio = 1.5; // Will be updated when image loads
@@ -87,16 +78,34 @@ class Renderer {
     }
 
     /**
-     * Trigger the car fixed transition effect
+     * Get the transition tracking for a service bay
+     * @param {number} index - Bay index
+     * @returns {Object} { lastCarId, lastCarWasDamaged, transition }
+     */
+    getBayView(index) {
+        if (!this.bayViews[index]) {
+            this.bayViews[index] = {
+                lastCarId: null,
+                lastCarWasDamaged: true,
+                transition: { active: false, startTime: 0, x: 0, y: 0, width: 0, height: 0 }
+            };
+        }
+        return this.bayViews[index];
+    }
+
+    /**
+     * Trigger the car fixed transition effect over a bay
+     * @param {number} index - Bay index
+     * @param {Object} bay - Car square from BayLayout
      */
-    triggerTransition() {
-        this.transitionEffect.active = true;
-        this.transitionEffect.startTime = this.time;
-        // Standard position for car on lift
-        this.transitionEffect.x = 80;
-        this.transitionEffect.y = 130;
-        this.transitionEffect.width = 140;
-        this.transitionEffect.height = 140;
+    triggerTransition(index, bay) {
+        const effect = this.getBayView(index).transition;
+        effect.active = true;
+        effect.startTime = this.time;
+        effect.x = bay.x;
+        effect.y = bay.y;
+        effect.width = bay.size;
+        effect.height = bay.size;
     }
 
     /**
@@ -202,17 +211,21 @@ class Renderer {
         // Draw layers back to front
         this.drawGarageBackground();
 
-        // Draw current car on the lift
-        if (state.currentCar) {
-            this.drawCurrentCar(state.currentCar);
-        } else {
-            // Reset car tracking when no car present
-            this.lastCarId = null;
-            this.lastCarWasDamaged = true;
-            this.drawEmptyBay();
-        }
+        // Draw each service bay side by side
+        const layout = BayLayout.getBays(state.bays.length);
+        state.bays.forEach((bay, index) => {
+            if (bay.car) {
+                this.drawBayCar(bay.car, index, layout[index]);
+            } else {
+                // Reset car tracking when no car present
+                const view = this.getBayView(index);
+                view.lastCarId = null;
+                view.lastCarWasDamaged = true;
+                this.drawEmptyBay(layout[index]);
+            }
+        });
 
-        // Draw Cheese (cat maid hero) to the right of the car bay
+        // Draw Cheese (cat maid hero) to the right of the bays
         this.drawCheese(state);
 
         // Draw characters (only if using procedural background)
@@ -408,34 +421,31 @@ class Renderer {
     }
 
     /**
-     * Draw the current car being repaired
-     * @param {Car} car - Current car
+     * Draw the car being repaired in a service bay
+     * @param {Car} car - Car in the bay
+     * @param {number} index - Bay index
+     * @param {Object} bay - Car square from BayLayout ({ x, y, size })
      */
-    drawCurrentCar(car) {
-        // Position car on the lift area (centered on the lift pits in background)
-        const x = 80;
-        const y = 130;
-        const carWidth = 140;
-        const carHeight = 140;
+    drawBayCar(car, index, bay) {
+        // Position car on its lift (one bay sits on the lift pits in the background)
+        const x = bay.x;
+        const y = bay.y;
+        const carWidth = bay.size;
+        const carHeight = bay.size;
+        const view = this.getBayView(index);
 
         // Check if car just transitioned from damaged to repaired (crossed 50%)
         const isDamaged = car.getProgressPercent() < 0.5;
-        const carChanged = this.lastCarId !== car.id;
-        const stateChanged = !carChanged && this.lastCarWasDamaged && !isDamaged;
+        const carChanged = view.lastCarId !== car.id;
+        const stateChanged = !carChanged && view.lastCarWasDamaged && !isDamaged;
 
         if (stateChanged) {
-            // Trigger transition effect
-            this.transitionEffect.active = true;
-            this.transitionEffect.startTime = this.time;
-            this.transitionEffect.x = x;
-            this.transitionEffect.y = y;
-            this.transitionEffect.width = carWidth;
-            this.transitionEffect.height = carHeight;
+            this.triggerTransition(index, bay);
         }
 
         // Update tracking
-        this.lastCarId = car.id;
-        this.lastCarWasDamaged = isDamaged;
+        view.lastCarId = car.id;
+        view.lastCarWasDamaged = isDamaged;
 
         // Try to draw car sprite
         const spriteKey = car.getCurrentSprite();
@@ -449,13 +459,18 @@ class Renderer {
                 carWidth, carHeight
             );
         } else {
-            // Fallback to procedural car drawing
-            this.drawProceduralCar(car, x + 20, y + 40);
+            // Fallback to procedural car drawing (scaled down in narrower bays)
+            const scale = carWidth / 140;
+            this.bufferCtx.save();
+            this.bufferCtx.translate(x, y);
+            this.bufferCtx.scale(scale, scale);
+            this.drawProceduralCar(car, 20, 40);
+            this.bufferCtx.restore();
         }
 
         // Draw transition effect if active
-        if (this.transitionEffect.active) {
-            this.drawCarTransitionEffect();
+        if (view.transition.active) {
+            this.drawCarTransitionEffect(view.transition);
         }
 
         // Progress bar above car
@@ -606,11 +621,11 @@ class Renderer {
 
     /**
      * Draw car transition effect (flash + sparkles when car is repaired)
+     * @param {Object} effect - A bay's transition state (see getBayView)
      */
-    drawCarTransitionEffect() {
-        const effect = this.transitionEffect;
+    drawCarTransitionEffect(effect) {
         const elapsed = this.time - effect.startTime;
-        const progress = elapsed / effect.duration;
+        const progress = elapsed / this.transitionDuration;
 
         if (progress >= 1) {
             effect.active = false;
@@ -618,9 +633,8 @@ class Renderer {
         }
 
         const ctx = this.bufferCtx;
-        // Use last known position or default center
-        const centerX = (effect.x !== undefined ? effect.x : 80) + (effect.width !== undefined ? effect.width : 140) / 2;
-        const centerY = (effect.y !== undefined ? effect.y : 130) + (effect.height !== undefined ? effect.height : 140) / 2;
+        const centerX = effect.x + effect.width / 2;
+        const centerY = effect.y + effect.height / 2;
 
         // Phase 1: White flash (0-30%)
         if (progress < 0.3) {
@@ -682,14 +696,16 @@ class Renderer {
     }
 
     /**
-     * Draw empty repair bay
+     * Draw an empty repair bay
+     * @param {Object} bay - Car square from BayLayout ({ x, y, size })
      */
-    drawEmptyBay() {
-        // Position to match car lift area
-        const x = 80;
-        const y = 130;
-        const width = 140;
-        const height = 100;
+    drawEmptyBay(bay) {
+        // Position to match the bay's car area
+        const x = bay.x;
+        const y = bay.y;
+        const width = bay.size;
+        const height = Math.round(bay.size * 100 / 140);
+        const fontSize = bay.size >= 120 ? 8 : 6;
 
         // Dashed outline
         const ctx = this.bufferCtx;
@@ -702,7 +718,7 @@ class Renderer {
         // Waiting text
         const pulse = Math.sin(this.time / 500) * 0.3 + 0.7;
         ctx.globalAlpha = pulse;
-        this.drawText('WAITING...', x + 35, y + 75, this.colors.gatoGreen, 8);
+        this.drawText('WAITING...', x + (width - 10 * fontSize) / 2 + 5, y + 20 + height * 0.55, this.colors.gatoGreen, fontSize);
         ctx.globalAlpha = 1;
     }
 
@@ -713,7 +729,7 @@ class Renderer {
         const spriteKey = this.getCheeseSpriteKey(state);
         const sprite = Assets.get(spriteKey);
 
-        // Position to the right of the lift bay
+        // Position to the right of the bays
         const x = 235;
         const y = 145;
         const width = 70;
@@ -732,17 +748,19 @@ class Renderer {
      * @returns {string} Asset key
      */
     getCheeseSpriteKey(state) {
-        const now = Date.now();
+        const now = GameClock.now();
 
         if (state.lastCarRepairedAt && (now - state.lastCarRepairedAt) <= this.cheeseCelebrateDuration) {
             return 'cheeseGoodJob';
         }
 
-        if (!state.currentCar) {
+        const busyBays = state.bays.filter(bay => bay.car);
+        if (busyBays.length === 0) {
             return 'cheeseNormal';
         }
 
-        if (state.currentCarStartTime && (now - state.currentCarStartTime) >= this.cheeseAnnoyedThreshold) {
+        // Annoyed when any car has been sitting on its lift too long
+        if (busyBays.some(bay => bay.startTime && (now - bay.startTime) >= this.cheeseAnnoyedThreshold)) {
             return 'cheeseAnnoyed';
         }
 
@@ -796,7 +814,7 @@ class Renderer {
         this.drawRect(x + 10, y + 22 + bounce, 6, 6, this.colors.cream);
 
         // Tool in hand if working
-        if (state.currentCar) {
+        if (state.getOccupiedBays().length > 0) {
             this.drawRect(x - 24, y + 16 + bounce, 12, 4, this.colors.creamDark);
             this.drawRect(x - 26, y + 12 + bounce, 6, 12, this.colors.bg3);
         }
@@ -919,6 +937,7 @@ class Renderer {
             const y = startY + row * 35;
 
             this.drawMiniWorker(x, y, worker.color);
+            this.drawWorkerLevelBadge(x, y, worker.level);
         });
 
         // Worker count if more
@@ -955,6 +974,23 @@ class Renderer {
         this.drawRect(x + 2, y - 6, 2, 2, this.colors.black);
     }
 
+    /**
+     * Draw a worker's level badge beside the mini sprite's ears
+     * @param {number} x - Sprite X (as passed to drawMiniWorker)
+     * @param {number} y - Sprite Y
+     * @param {number} level - Worker level
+     */
+    drawWorkerLevelBadge(x, y, level) {
+        const text = String(level);
+        const width = text.length * 4 + 3;
+        const left = x + 6;
+        const top = y - 16;
+
+        this.drawRect(left, top, width, 7, this.colors.bg1);
+        this.drawRectOutline(left, top, width, 7, this.colors.gatoGreen, 1);
+        this.drawText(text, left + 2, top + 6, this.colors.cream, 4);
+    }
+
     /**
      * Draw car queue in background
      */
@@ -19,9 +19,11 @@ class AchievementSystem {
 
     /**
      * Check all achievements and unlock any that are newly earned
+     * @returns {Array<Object>} Achievements unlocked by this check
      */
     checkAchievements() {
         const achievements = getAchievementList();
+        const unlocked = [];
 
         for (const achievement of achievements) {
             // Skip already unlocked
@@ -32,8 +34,11 @@ class AchievementSystem {
             // Check condition
             if (this.checkCondition(achievement.condition)) {
                 this.unlock(achievement);
+                unlocked.push(achievement);
             }
         }
+
+        return unlocked;
     }
 
     /**
@@ -47,7 +52,7 @@ class AchievementSystem {
                 return this.state.totalClicks >= condition.value;
 
             case 'totalEarned':
-                return this.state.totalEarned >= condition.value;
+                return this.state.totalEarned.gte(condition.value);
 
             case 'carsRepaired':
                 return this.state.carsRepaired >= condition.value;
@@ -91,12 +96,12 @@ class AchievementSystem {
      */
     unlock(achievement) {
         // Record unlock timestamp
-        this.state.achievements[achievement.id] = Date.now();
+        this.state.achievements[achievement.id] = GameClock.now();
 
         // Emit event for UI notification
         EventBus.emit(GameEvents.ACHIEVEMENT_UNLOCKED, {
             achievement,
-            timestamp: Date.now()
+            timestamp: GameClock.now()
         });
 
         console.log(`🏆 Achievement unlocked: ${achievement.name}`);
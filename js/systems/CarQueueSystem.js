@@ -6,10 +6,12 @@ class CarQueueSystem {
      * Create car queue system
      * @param {GameState} gameState - Game state reference
      * @param {ProgressionSystem} progressionSystem - Progression system reference
+     * @param {RandomStream} rng - Gameplay random stream
      */
-    constructor(gameState, progressionSystem) {
+    constructor(gameState, progressionSystem, rng) {
         this.state = gameState;
         this.progressionSystem = progressionSystem;
+        this.rng = rng;
 
         // Configuration
         this.maxQueueSize = 5;
@@ -40,8 +42,8 @@ class CarQueueSystem {
             this.spawnTimer = spawnInterval;
         }
 
-        // Ensure there's a current car if queue has cars
-        this.assignNextCar();
+        // Keep every bay busy while the queue has cars
+        this.fillBays();
     }
 
     /**
@@ -65,18 +67,11 @@ class CarQueueSystem {
     }
 
     /**
-     * Spawn a new random car into the queue
+     * Spawn a new car into the queue
+     * @param {Object} [carDef] - Car definition (random from the unlocked pool if omitted)
      */
-    spawnCar() {
-        // Get random car from unlocked pool
-        const unlockedCars = this.state.unlockedCars;
-        const carDef = getRandomCar(unlockedCars);
-        const car = new Car(carDef);
-
-        // Apply tier scaling
-        const tier = this.progressionSystem.getCurrentTier();
-        car.applyTierScaling(tier);
-
+    spawnCar(carDef) {
+        const car = this.createCar(carDef);
         this.state.carQueue.push(car);
 
         EventBus.emit(GameEvents.CAR_QUEUED, {
@@ -86,18 +81,25 @@ class CarQueueSystem {
     }
 
     /**
-     * Assign the next car from queue if no current car
+     * Build a car scaled to the current tier
+     * @param {Object} [carDef] - Car definition (random from the unlocked pool if omitted)
+     * @returns {Car} New car (not queued)
      */
-    assignNextCar() {
-        if (!this.state.currentCar && this.state.carQueue.length > 0) {
-            this.state.currentCar = this.state.carQueue.shift();
-            this.state.currentCarStartTime = Date.now();
-
-            EventBus.emit(GameEvents.CAR_STARTED, {
-                car: this.state.currentCar,
-                queueLength: this.state.carQueue.length
-            });
-        }
+    createCar(carDef = getRandomCar(this.state.unlockedCars, this.rng)) {
+        const car = new Car(carDef);
+        car.applyTierScaling(this.progressionSystem.getCurrentTier());
+        return car;
+    }
+
+    /**
+     * Move cars from the front of the queue into empty service bays, left to right
+     */
+    fillBays() {
+        this.state.bays.forEach((bay, index) => {
+            if (!bay.car && this.state.carQueue.length > 0) {
+                this.state.setBayCar(index, this.state.carQueue.shift());
+            }
+        });
     }
 
     /**
@@ -107,7 +109,7 @@ class CarQueueSystem {
         if (this.canSpawnCar()) {
             this.spawnCar();
         }
-        this.assignNextCar();
+        this.fillBays();
     }
 
     /**
@@ -116,7 +118,7 @@ class CarQueueSystem {
      */
     getQueueInfo() {
         return {
-            currentCar: this.state.currentCar,
+            bays: this.state.bays.map(bay => bay.car),
             queue: this.state.carQueue,
             queueLength: this.state.carQueue.length,
             maxSize: this.maxQueueSize,
@@ -126,11 +128,12 @@ class CarQueueSystem {
     }
 
     /**
-     * Get current car info for UI
-     * @returns {Object|null} Current car info or null
+     * Get info on the car in a service bay for UI
+     * @param {number} [bay=0] - Bay index
+     * @returns {Object|null} Car info or null if the bay is empty
      */
-    getCurrentCarInfo() {
-        const car = this.state.currentCar;
+    getBayCarInfo(bay = 0) {
+        const car = this.state.getBayCar(bay);
         if (!car) {
             return null;
         }
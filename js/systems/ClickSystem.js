@@ -25,31 +25,18 @@ class ClickSystem {
      * Handle a click on the game area
      * @param {number} x - Click X coordinate (relative to game area, in internal resolution)
      * @param {number} y - Click Y coordinate (relative to game area, in internal resolution)
-     * @returns {Object|null} Click result with repair amount and position
+     * @returns {Object|null} Click result with repair amount, position and bay
      */
     handleClick(x, y) {
-        // No current car to repair
-        if (!this.state.currentCar) {
+        // Find the clicked bay (hitboxes come from BayLayout, which Renderer draws with)
+        const bay = BayLayout.findBayAt(x, y, this.state.bays.length);
+        const car = bay === -1 ? null : this.state.getBayCar(bay);
+        if (!car) {
+            // Missed the bays, or the bay is empty
             return null;
         }
 
-        // Check if click is within car hitbox
-        // Car is drawn at (80, 130) with size 140x140 in internal resolution
-        // Add some padding for forgiving click detection
-        const carHitbox = {
-            x: 70,      // Slight padding left
-            y: 100,     // Include progress bar area above car
-            width: 160, // Slight padding right
-            height: 180 // Include area below car
-        };
-
-        if (x < carHitbox.x || x > carHitbox.x + carHitbox.width ||
-            y < carHitbox.y || y > carHitbox.y + carHitbox.height) {
-            // Click was outside car area
-            return null;
-        }
-
-        const now = performance.now();
+        const now = GameClock.now();
 
         // Update combo
         if (now - this.lastClickTime < this.comboTimeout) {
@@ -66,8 +53,8 @@ class ClickSystem {
         const baseRepair = this.state.clickPower;
         const repairAmount = Math.floor(baseRepair * this.comboMultiplier);
 
-        // Apply repair to current car
-        const wasRepaired = this.state.currentCar.repair(repairAmount);
+        // Apply repair to the clicked car
+        const wasRepaired = car.repair(repairAmount);
 
         // Update click stats
         this.state.totalClicks++;
@@ -76,6 +63,7 @@ class ClickSystem {
         const clickResult = {
             x,
             y,
+            bay,
             amount: repairAmount,
             combo: this.comboMultiplier,
             isCrit: this.comboMultiplier >= 1.5,
@@ -84,8 +72,9 @@ class ClickSystem {
 
         EventBus.emit(GameEvents.CLICK_PERFORMED, clickResult);
         EventBus.emit(GameEvents.CAR_PROGRESS, {
-            car: this.state.currentCar,
-            progress: this.state.currentCar.getProgressPercent()
+            car,
+            bay,
+            progress: car.getProgressPercent()
         });
 
         // Track for effects
@@ -96,18 +85,19 @@ class ClickSystem {
 
         // Check if car is now repaired
         if (wasRepaired) {
-            this.completeRepair();
+            this.completeRepair(bay);
         }
 
         return clickResult;
     }
 
     /**
-     * Complete the current car repair and process payment
+     * Complete a bay's repair and process payment
+     * @param {number} bay - Bay index
      */
-    completeRepair() {
+    completeRepair(bay) {
         const payoutBonus = 1 + Math.max(0, this.comboMultiplier - 1) * 0.5;
-        RepairCompletionService.completeRepair(false, payoutBonus);
+        RepairCompletionService.completeRepair(bay, false, payoutBonus);
     }
 
     /**
@@ -116,7 +106,7 @@ class ClickSystem {
      */
     update(deltaMs) {
         // Decay combo if not clicking
-        const now = performance.now();
+        const now = GameClock.now();
         if (now - this.lastClickTime > this.comboTimeout) {
             this.comboMultiplier = Math.max(
                 1,
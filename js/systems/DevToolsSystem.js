@@ -0,0 +1,220 @@
+/**
+ * DevToolsSystem - Developer cheats that go through the regular systems
+ * Every change is made the way gameplay would make it (addCurrency, addXP,
+ * AchievementSystem.unlock, CarQueueSystem.spawnCar, ...) so the usual events
+ * fire and the UI, achievements and saves stay consistent.
+ * Each action returns { ok, message } for the developer panel or console.
+ * Actions run through run() are announced with DEV_ACTION, so session
+ * recordings can replay them.
+ */
+class DevToolsSystem {
+    /**
+     * @param {GameState} gameState - State reference
+     * @param {ProgressionSystem} progressionSystem - Progression reference
+     * @param {CarQueueSystem} carQueueSystem - Car queue reference
+     * @param {JobBoardSystem} jobBoardSystem - Job board reference
+     * @param {AchievementSystem} achievementSystem - Achievement reference
+     */
+    constructor(gameState, progressionSystem, carQueueSystem, jobBoardSystem, achievementSystem) {
+        this.state = gameState;
+        this.progressionSystem = progressionSystem;
+        this.carQueueSystem = carQueueSystem;
+        this.jobBoardSystem = jobBoardSystem;
+        this.achievementSystem = achievementSystem;
+    }
+
+    /**
+     * Run an action by name and announce it if it changed anything
+     * @param {string} action - Action method name (e.g. 'grantCurrency')
+     * @param {...*} args - Action arguments
+     * @returns {Object} { ok, message }
+     */
+    run(action, ...args) {
+        if (['constructor', 'run', 'inspectState'].includes(action) || typeof this[action] !== 'function') {
+            return { ok: false, message: `Unknown action "${action}".` };
+        }
+
+        const result = this[action](...args);
+        if (result.ok) {
+            EventBus.emit(GameEvents.DEV_ACTION, { action, args });
+        }
+        return result;
+    }
+
+    /**
+     * Give money (exact amount; counts as earned, so it also feeds prestige)
+     * @param {number} amount - Dollars to add
+     * @returns {Object} { ok, message }
+     */
+    grantCurrency(amount) {
+        const value = Math.floor(Number(amount));
+        if (!(value > 0)) {
+            return { ok: false, message: 'Amount must be positive.' };
+        }
+
+        this.state.addCurrency(value, false);
+        return { ok: true, message: `Granted ${NumberFormatter.formatCurrency(value)}` };
+    }
+
+    /**
+     * Give Gato Nip, as if it had been earned by ascending
+     * @param {number} amount - Nip to add
+     * @returns {Object} { ok, message }
+     */
+    grantNip(amount) {
+        const value = Math.floor(Number(amount));
+        if (!(value > 0)) {
+            return { ok: false, message: 'Amount must be positive.' };
+        }
+
+        this.state.prestigeCurrency += value;
+        this.state.totalPrestigeEarned += value;
+        this.state.recalculateStats();
+        EventBus.emit(GameEvents.PRESTIGE_CURRENCY_CHANGED, this.state.prestigeCurrency);
+
+        return { ok: true, message: `Granted ${value} Nip` };
+    }
+
+    /**
+     * Give garage XP (levels, tiers and car unlocks follow as normal)
+     * @param {number} amount - XP to add
+     * @returns {Object} { ok, message }
+     */
+    grantXP(amount) {
+        const value = Math.floor(Number(amount));
+        if (!(value > 0)) {
+            return { ok: false, message: 'Amount must be positive.' };
+        }
+
+        this.progressionSystem.addXP(value);
+        return { ok: true, message: `Granted ${NumberFormatter.format(value)} XP` };
+    }
+
+    /**
+     * Jump to a garage level
+     * Going up adds the XP needed, so level-up events and unlocks fire. Going
+     * down sets XP to the start of that level and re-locks later cars.
+     * @param {number} level - Target level (1 or more)
+     * @returns {Object} { ok, message }
+     */
+    setGarageLevel(level) {
+        const target = Math.floor(Number(level));
+        if (!(target >= 1)) {
+            return { ok: false, message: 'Level must be 1 or more.' };
+        }
+
+        const targetXP = this.progressionSystem.getXPForLevel(target);
+        if (target > this.state.garageLevel) {
+            this.progressionSystem.addXP(targetXP - this.state.garageXP);
+        } else if (target < this.state.garageLevel) {
+            this.state.garageXP = targetXP;
+            this.state.garageLevel = target;
+            this.state.currentTier = this.progressionSystem.getCurrentTier();
+            this.state.unlockedCars = ProgressionSystem.getUnlockedCarsForLevel(target);
+        }
+
+        return { ok: true, message: `Garage level ${this.state.garageLevel} (tier ${this.state.currentTier})` };
+    }
+
+    /**
+     * Jump to the first level of a difficulty tier (tiers follow level: every 10 levels)
+     * @param {number} tier - Target tier (1 or more)
+     * @returns {Object} { ok, message }
+     */
+    setTier(tier) {
+        const target = Math.floor(Number(tier));
+        if (!(target >= 1)) {
+            return { ok: false, message: 'Tier must be 1 or more.' };
+        }
+
+        return this.setGarageLevel(Math.max(1, (target - 1) * 10));
+    }
+
+    /**
+     * Unlock one car type, or every car type when no ID is given
+     * @param {string} [carId] - Car ID
+     * @returns {Object} { ok, message }
+     */
+    unlockCars(carId) {
+        if (carId && !CarData[carId]) {
+            return { ok: false, message: `Unknown car "${carId}".` };
+        }
+
+        const carIds = carId ? [carId] : Object.keys(CarData);
+        const unlocked = carIds.filter(id => !this.state.unlockedCars.includes(id));
+
+        unlocked.forEach((id) => {
+            this.state.unlockedCars.push(id);
+            EventBus.emit(GameEvents.CAR_UNLOCKED, {
+                carId: id,
+                carName: CarData[id].name,
+                level: this.state.garageLevel
+            });
+        });
+
+        return { ok: true, message: `Unlocked ${unlocked.length} car type(s)` };
+    }
+
+    /**
+     * Unlock one achievement, or every achievement when no ID is given
+     * @param {string} [achievementId] - Achievement ID
+     * @returns {Object} { ok, message }
+     */
+    unlockAchievements(achievementId) {
+        if (achievementId && !AchievementData[achievementId]) {
+            return { ok: false, message: `Unknown achievement "${achievementId}".` };
+        }
+
+        const achievements = achievementId ? [AchievementData[achievementId]] : getAchievementList();
+        const locked = achievements.filter(a => !this.achievementSystem.isUnlocked(a.id));
+        locked.forEach(achievement => this.achievementSystem.unlock(achievement));
+
+        return { ok: true, message: `Unlocked ${locked.length} achievement(s)` };
+    }
+
+    /**
+     * Queue a specific car (locked types are allowed, for testing)
+     * @param {string} carId - Car ID
+     * @returns {Object} { ok, message }
+     */
+    spawnCar(carId) {
+        const carDef = CarData[carId];
+        if (!carDef) {
+            return { ok: false, message: `Unknown car "${carId}".` };
+        }
+        if (!this.carQueueSystem.canSpawnCar()) {
+            return { ok: false, message: 'The queue is full.' };
+        }
+
+        this.carQueueSystem.spawnCar(carDef);
+        this.carQueueSystem.fillBays();
+        return { ok: true, message: `Queued a ${carDef.name}` };
+    }
+
+    /**
+     * Put a contract on the job board, optionally for a specific car
+     * @param {string} [carId] - Car ID (random unlocked car if omitted)
+     * @returns {Object} { ok, message }
+     */
+    spawnContract(carId) {
+        const carDef = carId ? CarData[carId] : null;
+        if (carId && !carDef) {
+            return { ok: false, message: `Unknown car "${carId}".` };
+        }
+
+        const contract = this.jobBoardSystem.generateContract(carDef);
+        // First in line so the board's size limit drops an older contract instead
+        this.state.jobContracts.unshift(contract);
+        this.jobBoardSystem.refreshContracts();
+
+        return { ok: true, message: `Posted contract: ${contract.label}` };
+    }
+
+    /**
+     * Snapshot of the live state, as it would be saved
+     * @returns {Object} Serialized GameState
+     */
+    inspectState() {
+        return this.state.serialize();
+    }
+}
@@ -5,10 +5,12 @@ class JobBoardSystem {
     /**
      * @param {GameState} gameState - State reference
      * @param {ProgressionSystem} progressionSystem - Progression reference
+     * @param {RandomStream} rng - Gameplay random stream
      */
-    constructor(gameState, progressionSystem) {
+    constructor(gameState, progressionSystem, rng) {
         this.state = gameState;
         this.progressionSystem = progressionSystem;
+        this.rng = rng;
         this.maxContracts = 3;
         this.refreshInterval = 25000;
         this.refreshTimer = 0;
@@ -33,7 +35,7 @@ class JobBoardSystem {
     update(deltaMs) {
         this.refreshTimer += deltaMs;
 
-        if (this.state.activeJobContract && Date.now() > this.state.activeJobContract.expiresAt) {
+        if (this.state.activeJobContract && GameClock.now() > this.state.activeJobContract.expiresAt) {
             this.expireActiveContract();
         }
 
@@ -43,6 +45,28 @@ class JobBoardSystem {
         }
     }
 
+    /**
+     * Apply a long stretch of time at once (hidden tab coming back).
+     * @param {number} deltaMs - Time elapsed
+     * @returns {Array<Object>} Contracts that expired during the gap
+     */
+    catchUp(deltaMs) {
+        const expired = [];
+        if (this.state.activeJobContract && GameClock.now() > this.state.activeJobContract.expiresAt) {
+            expired.push(this.state.activeJobContract);
+            this.expireActiveContract();
+        }
+
+        // Refreshing only tops the board up, so one refresh covers any number of intervals
+        this.refreshTimer += deltaMs;
+        if (this.refreshTimer >= this.refreshInterval) {
+            this.refreshTimer %= this.refreshInterval;
+            this.refreshContracts();
+        }
+
+        return expired;
+    }
+
     /**
      * Ensure board has contracts, optionally replacing all.
      * @param {boolean} [replaceAll=false] - Whether to replace all contract entries
@@ -65,17 +89,19 @@ class JobBoardSystem {
 
     /**
      * Reconcile contracts after loading a save.
+     * @returns {Array<Object>} Contracts that expired while the game was closed
      */
     reconcileAfterLoad() {
-        if (this.state.activeJobContract && Date.now() > this.state.activeJobContract.expiresAt) {
+        if (this.state.activeJobContract && GameClock.now() > this.state.activeJobContract.expiresAt) {
+            const expired = this.state.activeJobContract;
             this.expireActiveContract();
-            return;
+            return [expired];
         }
 
         if (this.state.activeJobContract) {
             const contractId = this.state.activeJobContract.id;
             const hasContractCar = (
-                (this.state.currentCar && this.state.currentCar.contractMeta && this.state.currentCar.contractMeta.id === contractId) ||
+                this.state.findContractBay(contractId) !== -1 ||
                 this.state.carQueue.some((car) => car.contractMeta && car.contractMeta.id === contractId)
             );
 
@@ -85,6 +111,7 @@ class JobBoardSystem {
         }
 
         this.refreshContracts();
+        return [];
     }
 
     /**
@@ -105,8 +132,8 @@ class JobBoardSystem {
         const contract = this.state.jobContracts.splice(index, 1)[0];
         const activeContract = {
             ...contract,
-            acceptedAt: Date.now(),
-            expiresAt: Date.now() + contract.durationMs
+            acceptedAt: GameClock.now(),
+            expiresAt: GameClock.now() + contract.durationMs
         };
 
         this.state.activeJobContract = activeContract;
@@ -122,7 +149,7 @@ class JobBoardSystem {
     }
 
     /**
-     * Abandon the active contract and remove its queued/current car.
+     * Abandon the active contract and remove its car from its bay or the queue.
      * @returns {boolean} True if a contract was abandoned
      */
     abandonActiveContract() {
@@ -130,12 +157,10 @@ class JobBoardSystem {
         if (!active) return false;
 
         const contractId = active.id;
-        let removedCurrent = false;
+        const bay = this.state.findContractBay(contractId);
 
-        if (this.state.currentCar && this.state.currentCar.contractMeta && this.state.currentCar.contractMeta.id === contractId) {
-            this.state.currentCar = null;
-            this.state.currentCarStartTime = null;
-            removedCurrent = true;
+        if (bay !== -1) {
+            this.state.setBayCar(bay, null);
         }
 
         this.state.carQueue = this.state.carQueue.filter((car) => {
@@ -146,13 +171,8 @@ class JobBoardSystem {
         this.state.contractsFailed += 1;
         this.refreshContracts();
 
-        if (removedCurrent && this.state.carQueue.length > 0) {
-            this.state.currentCar = this.state.carQueue.shift();
-            this.state.currentCarStartTime = Date.now();
-            EventBus.emit(GameEvents.CAR_STARTED, {
-                car: this.state.currentCar,
-                queueLength: this.state.carQueue.length
-            });
+        if (bay !== -1 && this.state.carQueue.length > 0) {
+            this.state.setBayCar(bay, this.state.carQueue.shift());
         }
 
         EventBus.emit(GameEvents.JOB_FAILED, {
@@ -174,7 +194,7 @@ class JobBoardSystem {
         const active = this.state.activeJobContract
             ? {
                 ...this.state.activeJobContract,
-                timeRemainingMs: Math.max(0, this.state.activeJobContract.expiresAt - Date.now())
+                timeRemainingMs: Math.max(0, this.state.activeJobContract.expiresAt - GameClock.now())
             }
             : null;
 
@@ -188,23 +208,24 @@ class JobBoardSystem {
 
     /**
      * Generate one contract from unlocked cars.
+     * @param {Object} [forCar] - Car definition to use instead of a random unlocked car
      * @returns {Object} Contract data
      */
-    generateContract() {
+    generateContract(forCar = null) {
         const unlockedCars = this.state.unlockedCars
             .map((id) => CarData[id])
             .filter(Boolean);
 
         const pool = unlockedCars.length > 0 ? unlockedCars : [CarData.hatchback];
-        const carDef = pool[Math.floor(Math.random() * pool.length)];
+        const carDef = forCar || this.rng.pick(pool);
         const rarityBonus = this.getRarityBonus(carDef.rarity);
         const tierBonus = Math.max(0, this.state.currentTier - 1) * 0.05;
 
-        const repairMultiplier = Number((1.1 + Math.random() * 0.5 + rarityBonus * 0.2 + tierBonus).toFixed(2));
-        const payoutMultiplier = Number((1.25 + Math.random() * 0.75 + rarityBonus * 0.25).toFixed(2));
-        const durationSec = Math.max(20, Math.floor(65 - rarityBonus * 18 - tierBonus * 50 + Math.random() * 14));
+        const repairMultiplier = Number((1.1 + this.rng.next() * 0.5 + rarityBonus * 0.2 + tierBonus).toFixed(2));
+        const payoutMultiplier = Number((1.25 + this.rng.next() * 0.75 + rarityBonus * 0.25).toFixed(2));
+        const durationSec = Math.max(20, Math.floor(65 - rarityBonus * 18 - tierBonus * 50 + this.rng.next() * 14));
         const bonusXP = Math.max(8, Math.floor((carDef.repairCost / 8) * (1 + rarityBonus * 0.5)));
-        const flavor = this.jobFlavors[Math.floor(Math.random() * this.jobFlavors.length)];
+        const flavor = this.rng.pick(this.jobFlavors);
 
         return {
             id: this.generateId(),
@@ -216,12 +237,12 @@ class JobBoardSystem {
             payoutMultiplier,
             bonusXP,
             durationMs: durationSec * 1000,
-            createdAt: Date.now()
+            createdAt: GameClock.now()
         };
     }
 
     /**
-     * Spawn the contract car as current job or queue priority.
+     * Spawn the contract car into an empty bay, or at the front of the queue.
      * @param {Object} contract - Active contract data
      */
     spawnContractCar(contract) {
@@ -240,13 +261,9 @@ class JobBoardSystem {
             expired: false
         };
 
-        if (!this.state.currentCar) {
-            this.state.currentCar = contractCar;
-            this.state.currentCarStartTime = Date.now();
-            EventBus.emit(GameEvents.CAR_STARTED, {
-                car: this.state.currentCar,
-                queueLength: this.state.carQueue.length
-            });
+        const emptyBay = this.state.bays.findIndex((bay) => !bay.car);
+        if (emptyBay !== -1) {
+            this.state.setBayCar(emptyBay, contractCar);
             return;
         }
 
@@ -282,8 +299,9 @@ class JobBoardSystem {
      * @param {string} contractId - Contract ID
      */
     markContractCarExpired(contractId) {
-        if (this.state.currentCar && this.state.currentCar.contractMeta && this.state.currentCar.contractMeta.id === contractId) {
-            this.state.currentCar.contractMeta.expired = true;
+        const bay = this.state.findContractBay(contractId);
+        if (bay !== -1) {
+            this.state.getBayCar(bay).contractMeta.expired = true;
         }
 
         this.state.carQueue.forEach((car) => {
@@ -353,7 +371,7 @@ class JobBoardSystem {
      * @returns {string} Unique contract ID
      */
     generateId() {
-        const rand = Math.random().toString(36).slice(2, 8);
-        return `job-${Date.now()}-${rand}`;
+        const rand = this.rng.next().toString(36).slice(2, 8);
+        return `job-${GameClock.now()}-${rand}`;
     }
 }
@@ -0,0 +1,284 @@
+/**
+ * OfflineProgressSystem - Replays the garage while the player was away
+ * Steps from event to event (car finished, car spawned) using the real spawn
+ * interval, unlocked car pool, tier scaling and worker output, so offline
+ * income tracks what the garage would have earned if left open.
+ * The same replay covers workers and the car queue when a hidden tab comes back (catchUp).
+ */
+class OfflineProgressSystem {
+    /**
+     * Create offline progress system
+     * @param {GameState} gameState - Game state reference
+     * @param {CarQueueSystem} carQueueSystem - Car queue (spawn rate and car pool)
+     * @param {ProgressionSystem} progressionSystem - Progression system (XP and levels)
+     */
+    constructor(gameState, carQueueSystem, progressionSystem) {
+        this.state = gameState;
+        this.carQueueSystem = carQueueSystem;
+        this.progressionSystem = progressionSystem;
+
+        // Configuration (cap and efficiency come from GameState, raised by Nip upgrades)
+        this.minOfflineTime = 60000; // Only count absences of at least 1 minute
+    }
+
+    /**
+     * Get the longest absence that still earns progress
+     * @returns {number} Cap in milliseconds
+     */
+    getMaxOfflineTime() {
+        return this.state.offlineCapHours * 60 * 60 * 1000;
+    }
+
+    /**
+     * Get the fraction of normal worker speed applied while away
+     * @returns {number} Efficiency (0-1)
+     */
+    getEfficiency() {
+        return this.state.offlineEfficiency;
+    }
+
+    /**
+     * Simulate time away and apply the results to the game state
+     * Runs quietly: no per-car or level-up events are emitted.
+     * @param {number} awayMs - Real time since the last save
+     * @returns {Object} Offline progress report
+     */
+    simulate(awayMs) {
+        const effectiveTime = Math.min(Math.max(0, awayMs), this.getMaxOfflineTime());
+        const report = this.createReport(awayMs, effectiveTime, this.getEfficiency());
+
+        if (effectiveTime < this.minOfflineTime) {
+            report.time = 0;
+            return report;
+        }
+
+        return this.replay(effectiveTime, report);
+    }
+
+    /**
+     * Apply time the game was open but not running (a hidden tab stops frames)
+     * Workers ran at full speed, since the game never closed; the offline cap still applies.
+     * Runs quietly like simulate().
+     * @param {number} gapMs - Game time since the last frame
+     * @returns {Object} Progress report (source 'background')
+     */
+    catchUp(gapMs) {
+        const effectiveTime = Math.min(Math.max(0, gapMs), this.getMaxOfflineTime());
+        const report = this.createReport(gapMs, effectiveTime, 1);
+        report.source = 'background';
+
+        if (this.state.autoRepairRate <= 0) {
+            // No workers to replay, but cars kept arriving
+            this.carQueueSystem.update(effectiveTime);
+            return report;
+        }
+
+        return this.replay(effectiveTime, report);
+    }
+
+    /**
+     * Step workers and the car queue through a stretch of time
+     * @param {number} durationMs - Time to simulate
+     * @param {Object} report - Report to fill (its efficiency scales worker output)
+     * @returns {Object} The report
+     */
+    replay(durationMs, report) {
+        if (this.state.autoRepairRate * report.efficiency <= 0) {
+            return report;
+        }
+
+        // Contract cars keep their own clock; leave them for the player, and let
+        // their bays work through regular cars meanwhile
+        const contractBays = this.state.bays.map(bay => (bay.car && bay.car.contractMeta ? bay.car : null));
+        const contractQueued = this.state.carQueue.filter(car => car.contractMeta);
+        const queue = this.state.carQueue.filter(car => !car.contractMeta);
+        const slots = this.state.bays.map((bay, index) => (contractBays[index] ? null : bay.car));
+
+        const maxQueueSize = this.carQueueSystem.maxQueueSize;
+        const startTime = GameClock.now() - durationMs;
+        let spawnTimer = this.carQueueSystem.spawnTimer;
+        let remaining = durationMs;
+
+        while (remaining > 0) {
+            slots.forEach((car, index) => {
+                if (!car && queue.length > 0) {
+                    slots[index] = queue.shift();
+                }
+            });
+
+            // Crews work the bays the same way as live (WorkerSystem), with
+            // time-of-day traits following the clock through the absence
+            const crews = this.state.getCrews(slots.map(Boolean));
+            const hour = new Date(startTime + durationMs - remaining).getHours();
+            const bayConditions = slots.map(car => this.getConditions(car, hour));
+            const prepConditions = this.getConditions(null, hour);
+            const rates = this.getCrewRates(crews, bayConditions, prepConditions, report.efficiency);
+
+            const spawnInterval = this.carQueueSystem.getSpawnInterval();
+            const queueHasRoom = queue.length + contractQueued.length < maxQueueSize;
+            const timeToSpawn = queueHasRoom ? Math.max(0, spawnInterval - spawnTimer) : Infinity;
+            const timesToFinish = slots.map((car, index) => (car && rates.bays[index] > 0
+                ? (car.getRemainingRepair() / rates.bays[index]) * 1000
+                : Infinity));
+            const step = Math.min(remaining, timeToSpawn, ...timesToFinish);
+
+            remaining -= step;
+            spawnTimer = queueHasRoom ? spawnTimer + step : Math.min(spawnTimer + step, spawnInterval);
+
+            // Workers earn experience for the stretch they worked
+            crews.bays.forEach((crew, index) => {
+                if (slots[index]) this.creditWork(crew, bayConditions[index], step, report.efficiency);
+            });
+            if (queue.some(car => car.canPrep())) {
+                this.creditWork(crews.queuePrep, prepConditions, step, report.efficiency);
+            }
+
+            slots.forEach((car, index) => {
+                if (!car) return;
+                if (step >= timesToFinish[index]) {
+                    car.repairProgress = car.repairCost;
+                    this.completeCar(car, report);
+                    slots[index] = null;
+                } else {
+                    car.repair((rates.bays[index] * step) / 1000);
+                }
+            });
+
+            if (rates.queuePrep > 0) {
+                Car.prepQueue(queue, (rates.queuePrep * step) / 1000);
+            }
+
+            this.state.updateWorkerLevels().forEach((worker) => {
+                const index = this.state.workers.indexOf(worker);
+                if (!report.workerLevelUps[index]) {
+                    report.workerLevelUps[index] = { name: worker.name, from: worker.level - 1, to: worker.level };
+                }
+                report.workerLevelUps[index].to = worker.level;
+            });
+
+            if (queueHasRoom && spawnTimer >= spawnInterval) {
+                // Spawned at the tier reached so far, like it would have been live
+                queue.push(this.carQueueSystem.createCar());
+                spawnTimer -= spawnInterval;
+            }
+        }
+
+        // Put contract cars back in their bays, where the player left them
+        const bumped = [];
+        contractBays.forEach((contractCar, index) => {
+            if (!contractCar) return;
+            if (slots[index]) bumped.push(slots[index]);
+            slots[index] = contractCar;
+        });
+        queue.unshift(...bumped);
+
+        this.state.bays = slots.map((car, index) => {
+            const bay = this.state.bays[index];
+            return bay.car === car ? bay : GameState.createBay(car);
+        });
+        this.state.carQueue = [...contractQueued, ...queue];
+        this.carQueueSystem.spawnTimer = spawnTimer;
+
+        report.endLevel = this.state.garageLevel;
+        report.levelsGained = report.endLevel - report.startLevel;
+        return report;
+    }
+
+    /**
+     * Working conditions for worker traits while away (nobody is clicking)
+     * @param {Car|null} car - Car being worked on (null for queue prep)
+     * @param {number} hour - Local clock hour at that point of the absence
+     * @returns {Object} Conditions (see getWorkerTraitMultiplier)
+     */
+    getConditions(car, hour) {
+        return { rarity: car ? car.rarity : null, hour, comboActive: false };
+    }
+
+    /**
+     * Worker output for each bay and for queue prep
+     * @param {{bays: Array<Array<Worker>>, queuePrep: Array<Worker>}} crews - Crews from GameState.getCrews
+     * @param {Array<Object>} bayConditions - Working conditions for each bay
+     * @param {Object} prepConditions - Working conditions for queue prep
+     * @param {number} efficiency - Worker speed applied (0-1)
+     * @returns {{bays: Array<number>, queuePrep: number}} Repair per second for each bay (in bay order) and for queue prep
+     */
+    getCrewRates(crews, bayConditions, prepConditions, efficiency) {
+        const toRate = (crew, conditions) => crew.reduce((total, worker) => total + worker.getRate(conditions), 0) *
+            this.state.autoRepairMultiplier * efficiency;
+
+        return {
+            bays: crews.bays.map((crew, index) => toRate(crew, bayConditions[index])),
+            queuePrep: toRate(crews.queuePrep, prepConditions)
+        };
+    }
+
+    /**
+     * Credit a crew with the work of one replay step
+     * @param {Array<Worker>} crew - Workers who worked the step
+     * @param {Object} conditions - Working conditions for their traits
+     * @param {number} stepMs - Step length
+     * @param {number} efficiency - Worker speed applied (0-1)
+     */
+    creditWork(crew, conditions, stepMs, efficiency) {
+        crew.forEach(worker => worker.addWork((worker.getRate(conditions) * efficiency * stepMs) / 1000));
+    }
+
+    /**
+     * Pay out and award XP for a car finished while away
+     * @param {Car} car - Repaired car
+     * @param {Object} report - Report to accumulate into
+     */
+    completeCar(car, report) {
+        const payment = Math.floor(car.getValue() * this.state.getCarValueMultiplier());
+        const earned = BigNum.from(payment).mul(this.state.incomeMultiplier * this.state.prestigeMultiplier);
+
+        this.state.currency = this.state.currency.add(earned);
+        this.state.totalEarned = this.state.totalEarned.add(earned);
+        this.state.lifetimeEarnings = this.state.lifetimeEarnings.add(earned);
+        this.state.carsRepaired++;
+
+        report.earnings = report.earnings.add(earned);
+        report.carsRepaired++;
+
+        if (!report.carsByType[car.id]) {
+            report.carsByType[car.id] = { name: car.name, rarity: car.rarity, count: 0 };
+        }
+        report.carsByType[car.id].count++;
+        report.carsByRarity[car.rarity] = (report.carsByRarity[car.rarity] || 0) + 1;
+
+        const xp = RepairCompletionService.getRepairXP(car);
+        if (xp > 0) {
+            const result = this.progressionSystem.applyXP(xp);
+            report.xpGained += xp;
+            report.carsUnlocked.push(...result.unlockedCars);
+        }
+    }
+
+    /**
+     * Build an empty report
+     * @param {number} awayMs - Real time away
+     * @param {number} effectiveTime - Time actually simulated
+     * @param {number} efficiency - Worker speed applied (0-1)
+     * @returns {Object} Report
+     */
+    createReport(awayMs, effectiveTime, efficiency) {
+        return {
+            source: 'offline',
+            earnings: BigNum.ZERO,
+            time: effectiveTime,
+            awayTime: Math.max(0, awayMs),
+            capped: awayMs > this.getMaxOfflineTime(),
+            capMs: this.getMaxOfflineTime(),
+            efficiency,
+            carsRepaired: 0,
+            carsByType: {},
+            carsByRarity: {},
+            xpGained: 0,
+            startLevel: this.state.garageLevel,
+            endLevel: this.state.garageLevel,
+            levelsGained: 0,
+            carsUnlocked: [],
+            workerLevelUps: {} // worker index -> { name, from, to }
+        };
+    }
+}
@@ -14,9 +14,9 @@ class PrestigeSystem {
      * Formula: floor(sqrt(lifetimeEarnings / 1,000,000)) - totalLifetimeNipEarned
      */
     calculateClaimableNip() {
-        if (this.state.lifetimeEarnings < this.baseCost) return 0;
+        if (this.state.lifetimeEarnings.lt(this.baseCost)) return 0;
 
-        const totalPotentialNip = Math.floor(Math.sqrt(this.state.lifetimeEarnings / this.baseCost));
+        const totalPotentialNip = this.state.lifetimeEarnings.div(this.baseCost).sqrt().toNumber();
         const earnedTotal = this.state.totalPrestigeEarned || this.state.prestigeCurrency;
         const claimable = totalPotentialNip - earnedTotal;
 
@@ -30,6 +30,9 @@ class PrestigeSystem {
         const claimable = this.calculateClaimableNip();
         if (claimable <= 0) return false;
 
+        // Let listeners (e.g. save backups) see the run before it's wiped
+        EventBus.emit(GameEvents.PRESTIGE_STARTED, { claimable });
+
         // 1. Save permanent values
         const newPrestigeCurrency = this.state.prestigeCurrency + claimable;
         const newTotalPrestigeEarned = (this.state.totalPrestigeEarned || this.state.prestigeCurrency) + claimable;
@@ -63,13 +66,15 @@ class PrestigeSystem {
 
     /**
      * Get next Gato Nip threshold
+     * @returns {BigNum} Lifetime earnings still needed for the next Nip
      */
     getNextNipCost() {
         const earnedTotal = this.state.totalPrestigeEarned || this.state.prestigeCurrency;
         const currentTotal = earnedTotal + this.calculateClaimableNip();
-        const nextTotal = currentTotal + 1;
+        const nextTotal = BigNum.from(currentTotal + 1);
         // Inverse of formula: cost = nip^2 * baseCost
-        const reqEarnings = (nextTotal * nextTotal) * this.baseCost;
-        return reqEarnings - this.state.lifetimeEarnings;
+        const reqEarnings = nextTotal.mul(nextTotal).mul(this.baseCost);
+        // Nip counts are plain numbers, so past ~2^53 Nip the estimate can undershoot
+        return BigNum.max(0, reqEarnings.sub(this.state.lifetimeEarnings));
     }
 }
@@ -59,55 +59,85 @@ class ProgressionSystem {
     addXP(amount) {
         if (amount <= 0) return;
 
-        const oldLevel = this.state.garageLevel;
-        const oldTier = this.state.currentTier;
-
-        // Add XP
-        this.state.garageXP += amount;
-
-        // Calculate new level
-        const newLevel = this.calculateLevelFromXP(this.state.garageXP);
+        const result = this.applyXP(amount);
 
         // Emit XP earned event
         EventBus.emit(GameEvents.XP_EARNED, {
             amount,
             totalXP: this.state.garageXP,
-            currentLevel: newLevel
+            currentLevel: result.newLevel
         });
 
         // Check for level up
-        if (newLevel > oldLevel) {
-            this.state.garageLevel = newLevel;
-
-            // Check tier change (every 10 levels)
-            const newTier = this.getCurrentTier();
-            const tierChanged = newTier > oldTier;
-
-            if (tierChanged) {
-                this.state.currentTier = newTier;
-            }
-
-            // Check for car unlocks
-            this.checkCarUnlocks(newLevel);
+        if (result.newLevel > result.oldLevel) {
+            result.unlockedCars.forEach((carId) => {
+                const carDef = CarData[carId];
+                EventBus.emit(GameEvents.CAR_UNLOCKED, {
+                    carId,
+                    carName: carDef ? carDef.name : carId,
+                    level: result.newLevel
+                });
+            });
 
             // Emit level up event
             EventBus.emit(GameEvents.LEVEL_UP, {
-                oldLevel,
-                newLevel,
-                tier: newTier
+                oldLevel: result.oldLevel,
+                newLevel: result.newLevel,
+                tier: result.newTier
             });
 
             // Emit tier up event if tier changed
-            if (tierChanged) {
+            if (result.newTier > result.oldTier) {
                 EventBus.emit(GameEvents.TIER_UP, {
-                    oldTier,
-                    newTier,
-                    level: newLevel
+                    oldTier: result.oldTier,
+                    newTier: result.newTier,
+                    level: result.newLevel
                 });
             }
         }
     }
 
+    /**
+     * Add XP and apply level, tier and car unlock changes without emitting events
+     * (used directly by offline progress so a long absence doesn't spam level-ups)
+     * @param {number} amount - XP amount to award
+     * @returns {Object} { oldLevel, newLevel, oldTier, newTier, unlockedCars }
+     */
+    applyXP(amount) {
+        const oldLevel = this.state.garageLevel;
+        const oldTier = this.state.currentTier;
+        const result = {
+            oldLevel,
+            newLevel: oldLevel,
+            oldTier,
+            newTier: oldTier,
+            unlockedCars: []
+        };
+
+        if (amount <= 0) return result;
+
+        this.state.garageXP += amount;
+        const newLevel = this.calculateLevelFromXP(this.state.garageXP);
+        if (newLevel <= oldLevel) return result;
+
+        this.state.garageLevel = newLevel;
+        result.newLevel = newLevel;
+
+        // Check tier change (every 10 levels)
+        const newTier = this.getCurrentTier();
+        if (newTier > oldTier) {
+            this.state.currentTier = newTier;
+            result.newTier = newTier;
+        }
+
+        // Unlock cars for every level passed, not just the last one
+        for (let level = oldLevel + 1; level <= newLevel; level++) {
+            result.unlockedCars.push(...this.unlockCarsForLevel(level));
+        }
+
+        return result;
+    }
+
     /**
      * Calculate current level from total XP using binary search
      * @param {number} xp - Total XP
@@ -183,28 +213,18 @@ class ProgressionSystem {
     }
 
     /**
-     * Check and unlock cars at the new level
-     * @param {number} newLevel - The new level reached
+     * Unlock the cars granted at a level
+     * @param {number} level - Level reached
+     * @returns {Array<string>} IDs of cars that were newly unlocked
      */
-    checkCarUnlocks(newLevel) {
-        const unlocks = ProgressionSystem.CAR_UNLOCKS[newLevel];
-
-        if (!unlocks) return;
-
-        unlocks.forEach(carId => {
-            if (!this.state.unlockedCars.includes(carId)) {
-                this.state.unlockedCars.push(carId);
-
-                // Get car name for notification
-                const carDef = CarData[carId];
-                const carName = carDef ? carDef.name : carId;
-
-                EventBus.emit(GameEvents.CAR_UNLOCKED, {
-                    carId,
-                    carName,
-                    level: newLevel
-                });
-            }
+    unlockCarsForLevel(level) {
+        const unlocks = ProgressionSystem.CAR_UNLOCKS[level];
+        if (!unlocks) return [];
+
+        return unlocks.filter((carId) => {
+            if (this.state.unlockedCars.includes(carId)) return false;
+            this.state.unlockedCars.push(carId);
+            return true;
         });
     }
 
@@ -17,12 +17,14 @@ const RepairCompletionService = {
     },
 
     /**
-     * Complete the current car repair and process payment
+     * Complete the repair in a service bay and process payment
+     * @param {number} bay - Bay index
      * @param {boolean} isAutoRepair - Whether this was an auto-repair (from workers)
-     * @returns {Object|null} Repair result with car and payment, or null if no car
+     * @param {number} [clickBonusMultiplier=1] - Combo payout bonus for click repairs
+     * @returns {Object|null} Repair result with car and payment, or null if the bay is empty
      */
-    completeRepair(isAutoRepair = false, clickBonusMultiplier = 1) {
-        const car = this.state.currentCar;
+    completeRepair(bay, isAutoRepair = false, clickBonusMultiplier = 1) {
+        const car = this.state.getBayCar(bay);
         if (!car) return null;
 
         // Calculate payment
@@ -32,7 +34,7 @@ const RepairCompletionService = {
         let contractResult = null;
 
         if (car.contractMeta) {
-            const now = Date.now();
+            const now = GameClock.now();
             const completedInTime = !car.contractMeta.expired && now <= (car.contractMeta.expiresAt || 0);
             const payoutMultiplier = completedInTime ? (car.contractMeta.payoutMultiplier || 1) : 1;
             const bonusXP = completedInTime ? (car.contractMeta.bonusXP || 0) : 0;
@@ -61,29 +63,37 @@ const RepairCompletionService = {
             this.state.carsRepaired++;
         }
 
-        // Award XP based on original repair cost (before tier scaling)
+        // Award XP
         if (this.progressionSystem) {
-            const tier = car.tier || 1;
-            const multiplier = 1 + (tier - 1) * 0.5;
-            const baseCost = tier > 1 ? Math.floor(car.repairCost / multiplier) : car.repairCost;
-            const xpEarned = Math.floor((baseCost / 10) * (this.state.xpMultiplier || 1));
-            this.progressionSystem.addXP(xpEarned);
+            this.progressionSystem.addXP(this.getRepairXP(car));
         }
 
         // Emit completion event
         EventBus.emit(GameEvents.CAR_REPAIRED, {
             car,
+            bay,
             payment,
             isAutoRepair,
             clickBonusMultiplier,
             contractResult
         });
 
-        // Clear current car (CarQueueSystem will assign next)
-        this.state.currentCar = null;
-        this.state.currentCarStartTime = null;
-        this.state.lastCarRepairedAt = Date.now();
+        // Clear the bay (CarQueueSystem will fill it)
+        this.state.setBayCar(bay, null);
+        this.state.lastCarRepairedAt = GameClock.now();
 
         return { car, payment };
+    },
+
+    /**
+     * Get the XP a repaired car is worth, based on its original repair cost (before tier scaling)
+     * @param {Car} car - Repaired car
+     * @returns {number} XP to award
+     */
+    getRepairXP(car) {
+        const tier = car.tier || 1;
+        const multiplier = 1 + (tier - 1) * 0.5;
+        const baseCost = tier > 1 ? Math.floor(car.repairCost / multiplier) : car.repairCost;
+        return Math.floor((baseCost / 10) * (this.state.xpMultiplier || 1));
     }
 };
@@ -0,0 +1,205 @@
+/**
+ * SessionRecorder - Records a play session so it can be replayed exactly (for bug reports)
+ * A recording is the state when recording started, the gameplay seed and every
+ * player action, each stamped with the number of fixed updates run before it.
+ * While recording, the loop steps GameClock with its updates, so replaying the
+ * same actions after the same updates reproduces the same timestamps and state.
+ *
+ * Actions are picked up from the events the systems already emit:
+ *   click          - { x, y } in internal resolution (clicks that hit the car)
+ *   upgrade, hire, nipUpgrade - { id }
+ *   assign         - { worker, assignment } (crew roster)
+ *   acceptContract - { id }, abandonContract
+ *   prestige
+ *   skip           - { durationMs } (developer skip-ahead)
+ *   catchUp        - { gapMs } (time spent in a background tab)
+ *   dev            - { action, args } (developer panel cheats)
+ * Game.replayRecording() applies them again through the same handlers.
+ */
+class SessionRecorder {
+    static FORMAT = 'gato-garage-recording';
+    static VERSION = 1;
+
+    /**
+     * Create the recorder
+     * @param {GameLoop} gameLoop - Loop whose update count timestamps the actions
+     */
+    constructor(gameLoop) {
+        this.gameLoop = gameLoop;
+        this.recording = null;
+        this.startStep = 0;
+
+        // Event -> action (null when the event isn't a player action)
+        const captures = {
+            [GameEvents.CLICK_PERFORMED]: ({ x, y }) => ({ type: 'click', x, y }),
+            [GameEvents.UPGRADE_PURCHASED]: ({ upgradeId }) => ({ type: 'upgrade', id: upgradeId }),
+            [GameEvents.WORKER_HIRED]: ({ workerId }) => ({ type: 'hire', id: workerId }),
+            [GameEvents.WORKER_ASSIGNED]: ({ workerIndex, assignment }) => ({ type: 'assign', worker: workerIndex, assignment }),
+            [GameEvents.NIP_UPGRADE_PURCHASED]: ({ upgradeId }) => ({ type: 'nipUpgrade', id: upgradeId }),
+            [GameEvents.JOB_ACCEPTED]: ({ contract }) => ({ type: 'acceptContract', id: contract.id }),
+            [GameEvents.JOB_FAILED]: ({ reason }) => (reason === 'abandoned' ? { type: 'abandonContract' } : null),
+            [GameEvents.PRESTIGE_STARTED]: () => ({ type: 'prestige' }),
+            [GameEvents.TIME_SKIPPED]: ({ durationMs }) => ({ type: 'skip', durationMs }),
+            [GameEvents.TIME_CAUGHT_UP]: ({ gapMs }) => ({ type: 'catchUp', gapMs }),
+            [GameEvents.DEV_ACTION]: ({ action, args }) => ({ type: 'dev', action, args })
+        };
+
+        Object.entries(captures).forEach(([event, toAction]) => {
+            EventBus.on(event, (data) => {
+                if (!this.recording) return;
+                const action = toAction(data || {});
+                if (action) this.record(action);
+            });
+        });
+
+        // Loading or resetting swaps the state out from under the recording
+        const discard = () => {
+            if (!this.recording) return;
+            this.cancel();
+            EventBus.emit(GameEvents.NOTIFICATION, {
+                message: 'Recording discarded: the game was loaded or reset.',
+                type: 'warning'
+            });
+        };
+        EventBus.on(GameEvents.GAME_LOADED, discard);
+        EventBus.on(GameEvents.GAME_RESET, discard);
+    }
+
+    /**
+     * Start recording from the current state
+     * @param {Object} snapshot - { state, systems } from Game.captureSnapshot()
+     */
+    start(snapshot) {
+        this.gameLoop.useSteppedClock(true);
+        this.startStep = this.gameLoop.getUpdateCount();
+        this.recording = {
+            format: SessionRecorder.FORMAT,
+            version: SessionRecorder.VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: snapshot.state.rng ? snapshot.state.rng.seed : null,
+            timestep: this.gameLoop.timestep,
+            startTime: GameClock.now(),
+            start: snapshot,
+            actions: []
+        };
+    }
+
+    /**
+     * Finish recording
+     * @param {Object} serializedState - GameState.serialize() at the end, to check replays against
+     * @returns {Object|null} The recording (null if not recording)
+     */
+    stop(serializedState) {
+        const recording = this.recording;
+        if (!recording) return null;
+
+        recording.endStep = this.getStep();
+        recording.endTime = GameClock.now() - recording.startTime;
+        recording.final = SessionRecorder.fingerprint(serializedState);
+
+        this.cancel();
+        return recording;
+    }
+
+    /**
+     * Drop the recording in progress
+     */
+    cancel() {
+        this.recording = null;
+        this.gameLoop.useSteppedClock(false);
+    }
+
+    /**
+     * Check if a recording is in progress
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Get the number of actions recorded so far
+     * @returns {number} Action count
+     */
+    getActionCount() {
+        return this.recording ? this.recording.actions.length : 0;
+    }
+
+    /**
+     * Updates run since recording started
+     * @returns {number} Step
+     */
+    getStep() {
+        return this.gameLoop.getUpdateCount() - this.startStep;
+    }
+
+    /**
+     * Add an action, stamped with the current step and game time
+     * @param {Object} action - { type, ...details }
+     */
+    record(action) {
+        this.recording.actions.push({
+            step: this.getStep(),
+            time: GameClock.now() - this.recording.startTime,
+            ...action
+        });
+    }
+
+    /**
+     * The parts of a serialized state a replay must reproduce
+     * (save bookkeeping like lastSaveTime and play time is left out)
+     * @param {Object} serializedState - GameState.serialize() output
+     * @returns {Object} Fingerprint
+     */
+    static fingerprint(serializedState) {
+        const { lastSaveTime, totalPlayTime, ...gameplay } = serializedState;
+        return JSON.parse(JSON.stringify(gameplay));
+    }
+
+    /**
+     * List the fingerprint fields that differ
+     * @param {Object} expected - Fingerprint from the recording
+     * @param {Object} actual - Fingerprint after replaying
+     * @returns {Array<string>} Differing field names (empty when identical)
+     */
+    static compare(expected, actual) {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        return [...keys].filter(key => JSON.stringify(expected[key]) !== JSON.stringify(actual[key]));
+    }
+
+    /**
+     * Turn a recording into export text
+     * @param {Object} recording - Recording from stop()
+     * @returns {string} JSON
+     */
+    static stringify(recording) {
+        return JSON.stringify(recording);
+    }
+
+    /**
+     * Read and check exported recording text
+     * @param {string} text - Exported recording
+     * @returns {{recording: Object|null, problem: string|null}} Recording or what's wrong with it
+     */
+    static parse(text) {
+        let recording;
+        try {
+            recording = JSON.parse(text);
+        } catch (error) {
+            return { recording: null, problem: 'not a recording file' };
+        }
+
+        if (!recording || recording.format !== SessionRecorder.FORMAT) {
+            return { recording: null, problem: 'not a recording file' };
+        }
+        if (recording.version > SessionRecorder.VERSION) {
+            return { recording: null, problem: `made by a newer version (v${recording.version})` };
+        }
+        if (!recording.start || !recording.start.state || !Array.isArray(recording.actions) ||
+            !Number.isFinite(recording.startTime) || !Number.isFinite(recording.endStep) || !recording.final) {
+            return { recording: null, problem: 'recording is incomplete' };
+        }
+
+        return { recording, problem: null };
+    }
+}
@@ -13,11 +13,11 @@ class UpgradeSystem {
     /**
      * Get the cost of an upgrade at the current level
      * @param {string} upgradeId - Upgrade ID
-     * @returns {number} Cost for next level
+     * @returns {BigNum|null} Cost for next level (null for an unknown upgrade)
      */
     getCost(upgradeId) {
         const upgrade = UpgradeData[upgradeId];
-        if (!upgrade) return Infinity;
+        if (!upgrade) return null;
 
         const currentLevel = this.state.getUpgradeLevel(upgradeId);
         return calculateUpgradeCost(upgrade, currentLevel);
@@ -79,8 +79,9 @@ class UpgradeSystem {
         const newLevel = currentLevel + 1;
         this.state.setUpgradeLevel(upgradeId, newLevel);
 
-        // Apply effect
+        // Apply effect (a new service bay opens right away)
         this.state.applyUpgradeEffect(upgrade.effect);
+        this.state.syncBays();
 
         // Emit event
         EventBus.emit(GameEvents.UPGRADE_PURCHASED, {
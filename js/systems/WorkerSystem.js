@@ -5,19 +5,23 @@ class WorkerSystem {
     /**
      * Create worker system
      * @param {GameState} gameState - Game state reference
+     * @param {RandomStream} rng - Gameplay random stream (names and traits of new hires)
+     * @param {ClickSystem} clickSystem - Click system (combo-based traits)
      */
-    constructor(gameState) {
+    constructor(gameState, rng, clickSystem) {
         this.state = gameState;
+        this.rng = rng;
+        this.clickSystem = clickSystem;
     }
 
     /**
      * Get the cost of hiring another worker of a type
      * @param {string} workerId - Worker type ID
-     * @returns {number} Cost to hire
+     * @returns {BigNum|null} Cost to hire (null for an unknown worker type)
      */
     getCost(workerId) {
         const workerDef = WorkerData[workerId];
-        if (!workerDef) return Infinity;
+        if (!workerDef) return null;
 
         const owned = this.state.getWorkerCount(workerId);
         return calculateWorkerCost(workerDef, owned);
@@ -54,8 +58,10 @@ class WorkerSystem {
             return false;
         }
 
-        // Create and add worker
+        // Create and add worker, with a name and traits of their own
         const worker = new Worker(workerDef);
+        worker.name = rollWorkerName(this.rng);
+        worker.traits = rollWorkerTraits(this.rng);
         this.state.workers.push(worker);
 
         // Update count
@@ -76,51 +82,116 @@ class WorkerSystem {
         return true;
     }
 
+    /**
+     * Post a worker to a bay, to queue prep, or back to helping any busy bay
+     * @param {number} workerIndex - Index into the crew (state.workers)
+     * @param {number|string|null} assignment - Bay index, 'queue', or null for any bay
+     * @returns {boolean} True if the assignment was applied
+     */
+    assign(workerIndex, assignment) {
+        const worker = this.state.workers[workerIndex];
+        if (!worker || !Worker.isValidAssignment(assignment)) {
+            return false;
+        }
+        if (Number.isInteger(assignment) && assignment >= this.state.bays.length) {
+            return false;
+        }
+
+        worker.assignment = assignment;
+
+        EventBus.emit(GameEvents.WORKER_ASSIGNED, {
+            workerIndex,
+            worker,
+            assignment
+        });
+
+        return true;
+    }
+
     /**
      * Update auto-repair progress
+     * Each bay gets its own crew (see GameState.getCrews); the queue prep crew
+     * works on waiting cars, up to Car.PREP_LIMIT of each one. Traits adjust each
+     * worker's rate to the car, the hour and the combo; work done earns the
+     * workers experience toward their next level.
      * @param {number} deltaMs - Time since last update in milliseconds
      */
     update(deltaMs) {
-        // No current car or no workers
-        if (!this.state.currentCar || this.state.workers.length === 0) {
+        if (this.state.workers.length === 0) {
             return;
         }
 
-        // Calculate total repair from all workers
+        const crews = this.state.getCrews();
+        const multiplier = this.state.autoRepairMultiplier || 1;
+        const hour = new Date(GameClock.now()).getHours();
+        const comboActive = this.clickSystem.getCombo() > 1;
         let totalRepair = 0;
-        for (const worker of this.state.workers) {
-            totalRepair += worker.getRepairContribution(deltaMs);
-        }
-        totalRepair *= (this.state.autoRepairMultiplier || 1);
 
-        if (totalRepair <= 0) return;
+        this.state.bays.forEach((bayState, bay) => {
+            const car = bayState.car;
+            if (!car) return;
+
+            // Calculate repair from this bay's workers
+            const conditions = { rarity: car.rarity, hour, comboActive };
+            let bayRepair = 0;
+            for (const worker of crews.bays[bay]) {
+                bayRepair += worker.getRepairContribution(deltaMs, conditions);
+            }
+            bayRepair *= multiplier;
 
-        // Apply repair to current car
-        const wasRepaired = this.state.currentCar.repair(totalRepair);
+            if (bayRepair <= 0) return;
+            totalRepair += bayRepair;
 
-        // Emit progress event
-        EventBus.emit(GameEvents.CAR_PROGRESS, {
-            car: this.state.currentCar,
-            progress: this.state.currentCar.getProgressPercent()
+            // Apply repair to the bay's car
+            const wasRepaired = car.repair(bayRepair);
+
+            // Emit progress event
+            EventBus.emit(GameEvents.CAR_PROGRESS, {
+                car,
+                bay,
+                progress: car.getProgressPercent()
+            });
+
+            // Check if car is now repaired
+            if (wasRepaired) {
+                this.completeAutoRepair(bay);
+            }
         });
 
+        // Queue prep only clocks work while a waiting car still needs it
+        if (crews.queuePrep.length > 0 && this.state.carQueue.some(car => car.canPrep())) {
+            // The queue holds mixed cars, so rarity traits sit prep out
+            const conditions = { rarity: null, hour, comboActive };
+            let prepRepair = 0;
+            for (const worker of crews.queuePrep) {
+                prepRepair += worker.getRepairContribution(deltaMs, conditions);
+            }
+            totalRepair += Car.prepQueue(this.state.carQueue, prepRepair * multiplier);
+        }
+
+        this.state.updateWorkerLevels().forEach((worker) => {
+            EventBus.emit(GameEvents.WORKER_LEVEL_UP, {
+                worker,
+                workerIndex: this.state.workers.indexOf(worker),
+                level: worker.level
+            });
+        });
+
+        if (totalRepair <= 0) return;
+
         // Emit working event for visual feedback
         EventBus.emit(GameEvents.WORKER_WORKING, {
             repairAmount: totalRepair,
             workerCount: this.state.workers.length
         });
-
-        // Check if car is now repaired
-        if (wasRepaired) {
-            this.completeAutoRepair();
-        }
     }
 
     /**
      * Complete an auto-repair and process payment
+     * @param {number} bay - Bay index
      */
-    completeAutoRepair() {
-        RepairCompletionService.completeRepair(true);
+    completeAutoRepair(bay) {
+        RepairCompletionService.completeRepair(bay, true);
     }
 
     /**
@@ -158,6 +229,41 @@ class WorkerSystem {
         return getWorkerList().map(worker => this.getWorkerInfo(worker.id));
     }
 
+    /**
+     * Get every hired worker with their assignment, for the crew roster
+     * @returns {Array<Object>} One entry per worker, in hiring order
+     */
+    getCrewInfo() {
+        const crews = this.state.getCrews();
+        const workingAt = new Map();
+        crews.bays.forEach((crew, bay) => crew.forEach(worker => workingAt.set(worker, bay)));
+        crews.queuePrep.forEach(worker => workingAt.set(worker, 'queue'));
+        const queueNeedsPrep = this.state.carQueue.some(car => car.canPrep());
+
+        return this.state.workers.map((worker, index) => {
+            const bay = workingAt.has(worker) ? workingAt.get(worker) : null;
+            const progress = worker.getLevelProgress(this.state.workerLevelCap);
+            const isBusy = bay === 'queue' ? queueNeedsPrep : Number.isInteger(bay) && !!this.state.getBayCar(bay);
+
+            return {
+                index,
+                name: worker.name,
+                role: worker.role,
+                traits: worker.getTraits(),
+                color: worker.color,
+                repairRate: worker.repairRate,
+                totalRepairs: worker.totalRepairs,
+                level: worker.level,
+                levelCap: this.state.workerLevelCap,
+                // Fraction of the way to the next level (1 at the cap)
+                levelProgress: progress.maxed ? 1 : Math.min(1, progress.current / progress.needed),
+                assignment: worker.assignment,
+                // Where the worker is busy right now (null while waiting for work)
+                workingAt: isBusy ? bay : null
+            };
+        });
+    }
+
     /**
      * Get total repair rate from all workers
      * @returns {number} Total repair per second
@@ -0,0 +1,205 @@
+/**
+ * CrewUI - Crew roster: each hired cat-maid, their traits, level, lifetime repairs and where they work.
+ */
+class CrewUI {
+    /**
+     * @param {WorkerSystem} workerSystem - Worker system reference
+     * @param {GameState} gameState - State reference
+     */
+    constructor(workerSystem, gameState) {
+        this.workerSystem = workerSystem;
+        this.state = gameState;
+
+        this.summaryEl = document.getElementById('crew-summary');
+        this.listEl = document.getElementById('crew-list');
+
+        this.timer = null;
+
+        if (!this.summaryEl || !this.listEl) {
+            return;
+        }
+
+        this.bindEvents();
+        this.render();
+        this.startTimer();
+    }
+
+    /**
+     * Subscribe to crew-related events.
+     */
+    bindEvents() {
+        EventBus.on(GameEvents.WORKER_HIRED, () => this.render());
+        EventBus.on(GameEvents.WORKER_ASSIGNED, () => this.render());
+        EventBus.on(GameEvents.WORKER_LEVEL_UP, () => this.render());
+        // Cat-Maid Academy raises the level cap
+        EventBus.on(GameEvents.NIP_UPGRADE_PURCHASED, () => this.render());
+        // Service bays change the assignment choices
+        EventBus.on(GameEvents.UPGRADE_PURCHASED, () => this.render());
+    }
+
+    /**
+     * Start refreshing lifetime repairs and work status.
+     */
+    startTimer() {
+        this.stopTimer();
+        this.timer = setInterval(() => {
+            this.updateStats();
+        }, 1000);
+    }
+
+    /**
+     * Stop the refresh timer.
+     */
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Render the full roster.
+     */
+    render() {
+        if (!this.listEl || !this.summaryEl) return;
+
+        const crew = this.workerSystem.getCrewInfo();
+        this.listEl.innerHTML = '';
+
+        if (crew.length === 0) {
+            this.listEl.innerHTML = '<div class="job-empty">Hire cat-maids to build your crew.</div>';
+        }
+
+        crew.forEach((worker) => {
+            this.listEl.appendChild(this.createWorkerCard(worker));
+        });
+
+        this.updateStats(crew);
+    }
+
+    /**
+     * Create one roster card.
+     * @param {Object} worker - Crew info (see WorkerSystem.getCrewInfo)
+     * @returns {HTMLElement} Card element
+     */
+    createWorkerCard(worker) {
+        const card = document.createElement('div');
+        card.className = 'crew-card';
+        card.dataset.workerIndex = worker.index;
+        // Hovering the card spells out the traits
+        card.title = [worker.role, ...worker.traits.map(trait => `${trait.name}: ${trait.description}`)].join('\n');
+
+        const traitMarkup = worker.traits
+            .map(trait => `<span class="crew-trait" title="${trait.description}">${trait.name}</span>`)
+            .join('');
+
+        card.innerHTML = `
+            <div class="crew-card-title">
+                <span style="color: ${worker.color}">${worker.name}</span>
+                <span class="crew-level">Lv ${worker.level}/${worker.levelCap}</span>
+            </div>
+            <div class="crew-xp-bar"><div class="crew-xp-fill"></div></div>
+            <div class="job-card-line">${worker.role}</div>
+            <div class="crew-traits">${traitMarkup}</div>
+            <div class="job-card-line">${this.formatRate(worker.repairRate)}/s | Repaired <span class="crew-repairs">0</span></div>
+            <div class="job-card-line">Now: <span class="crew-status">--</span></div>
+        `;
+
+        const select = document.createElement('select');
+        select.className = 'crew-assignment';
+        select.setAttribute('aria-label', `Assignment for ${worker.name}`);
+        this.getAssignmentOptions().forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.toOptionValue(worker.assignment);
+
+        select.addEventListener('change', () => {
+            if (!this.workerSystem.assign(worker.index, this.fromOptionValue(select.value))) {
+                select.value = this.toOptionValue(worker.assignment);
+            }
+        });
+
+        card.appendChild(select);
+        return card;
+    }
+
+    /**
+     * Get the choices for the assignment dropdown.
+     * @returns {Array<{value: string, label: string}>} Options
+     */
+    getAssignmentOptions() {
+        const options = [{ value: 'auto', label: 'Any bay' }];
+        for (let bay = 0; bay < this.state.bays.length; bay++) {
+            options.push({ value: String(bay), label: `Bay ${bay + 1}` });
+        }
+        options.push({ value: 'queue', label: 'Queue prep' });
+        return options;
+    }
+
+    /**
+     * Refresh the numbers without rebuilding the cards (keeps open dropdowns open).
+     * @param {Array<Object>} [crew] - Crew info, if already fetched
+     */
+    updateStats(crew = this.workerSystem.getCrewInfo()) {
+        if (!this.listEl || !this.summaryEl) return;
+
+        const prepCount = crew.filter(worker => worker.assignment === 'queue').length;
+        this.summaryEl.textContent = crew.length === 0
+            ? 'No cat-maids hired yet.'
+            : `${crew.length} cat-maids | ${this.state.bays.length} bays | Queue prep ${prepCount}`;
+
+        crew.forEach((worker) => {
+            const card = this.listEl.querySelector(`[data-worker-index="${worker.index}"]`);
+            if (!card) return;
+
+            card.querySelector('.crew-repairs').textContent = NumberFormatter.format(Math.floor(worker.totalRepairs));
+            card.querySelector('.crew-status').textContent = this.describeWork(worker.workingAt);
+            card.querySelector('.crew-xp-fill').style.width = `${Math.round(worker.levelProgress * 100)}%`;
+            card.classList.toggle('idle', worker.workingAt === null);
+        });
+    }
+
+    /**
+     * Format a repair rate, keeping a decimal for small rates so level bonuses show.
+     * @param {number} rate - Repair per second
+     * @returns {string} Rate text
+     */
+    formatRate(rate) {
+        return rate < 1000 ? String(Number(rate.toFixed(1))) : NumberFormatter.format(rate);
+    }
+
+    /**
+     * Describe where a worker is busy.
+     * @param {number|string|null} workingAt - Bay index, 'queue', or null
+     * @returns {string} Status text
+     */
+    describeWork(workingAt) {
+        if (workingAt === 'queue') return 'Prepping queue';
+        if (workingAt === null) return 'Waiting';
+        return `Bay ${workingAt + 1}`;
+    }
+
+    /**
+     * Convert an assignment to a dropdown value.
+     * @param {number|string|null} assignment - Worker assignment
+     * @returns {string} Option value
+     */
+    toOptionValue(assignment) {
+        if (assignment === null) return 'auto';
+        return String(assignment);
+    }
+
+    /**
+     * Convert a dropdown value back to an assignment.
+     * @param {string} value - Option value
+     * @returns {number|string|null} Worker assignment
+     */
+    fromOptionValue(value) {
+        if (value === 'auto') return null;
+        if (value === 'queue') return 'queue';
+        return Number(value);
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * DevPanel - Hidden developer tools panel (toggle with Shift + `)
+ * Game speed, skip-ahead, cheats and session recording. The same actions are
+ * available from the console as game.setTimeScale(x), game.skipAhead(minutes),
+ * game.devTools.run(action, ...args) and game.startRecording()/stopRecording().
+ */
+class DevPanel {
+    /**
+     * @param {Game} game - Game controller
+     */
+    constructor(game) {
+        this.game = game;
+
+        this.panelEl = document.getElementById('dev-panel');
+        this.speedValueEl = document.getElementById('dev-speed-value');
+        this.speedButtons = Array.from(document.querySelectorAll('#dev-speed-buttons [data-scale]'));
+        this.skipInput = document.getElementById('dev-skip-minutes');
+        this.grantInput = document.getElementById('dev-grant-amount');
+        this.levelInput = document.getElementById('dev-level');
+        this.carSelect = document.getElementById('dev-car-select');
+        this.stateEl = document.getElementById('dev-state');
+        this.recordingStatusEl = document.getElementById('dev-recording-status');
+        this.stateTimer = null;
+
+        if (!this.panelEl) return;
+
+        this.renderCarOptions();
+        this.bindEvents();
+        this.renderSpeed(this.game.gameLoop.getTimeScale());
+    }
+
+    /**
+     * Wire up panel controls
+     */
+    bindEvents() {
+        this.speedButtons.forEach((button) => {
+            button.addEventListener('click', () => {
+                this.game.setTimeScale(Number(button.dataset.scale));
+            });
+        });
+
+        const skipBtn = document.getElementById('dev-skip-btn');
+        if (skipBtn && this.skipInput) {
+            skipBtn.addEventListener('click', () => {
+                this.game.skipAhead(Number(this.skipInput.value));
+            });
+        }
+
+        this.panelEl.querySelectorAll('[data-skip]').forEach((button) => {
+            button.addEventListener('click', () => {
+                this.game.skipAhead(Number(button.dataset.skip));
+            });
+        });
+
+        this.panelEl.querySelectorAll('[data-dev-action]').forEach((button) => {
+            button.addEventListener('click', () => this.runAction(button.dataset.devAction));
+        });
+
+        const recordBtn = document.getElementById('dev-record-btn');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => {
+                this.game.startRecording();
+                this.renderRecording();
+            });
+        }
+
+        const stopBtn = document.getElementById('dev-record-stop-btn');
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => {
+                this.game.downloadRecording(this.game.stopRecording());
+                this.renderRecording();
+            });
+        }
+
+        const replayInput = document.getElementById('dev-replay-input');
+        const replayBtn = document.getElementById('dev-replay-btn');
+        if (replayBtn && replayInput) {
+            replayBtn.addEventListener('click', () => replayInput.click());
+            replayInput.addEventListener('change', () => {
+                const file = replayInput.files && replayInput.files[0];
+                replayInput.value = ''; // Allow picking the same file again
+                if (file) this.game.loadRecordingFile(file);
+            });
+        }
+
+        EventBus.on(GameEvents.TIME_SCALE_CHANGED, ({ scale }) => this.renderSpeed(scale));
+    }
+
+    /**
+     * Fill the car picker from CarData
+     */
+    renderCarOptions() {
+        if (!this.carSelect) return;
+
+        this.carSelect.innerHTML = '';
+        getCarList().forEach((car) => {
+            const option = document.createElement('option');
+            option.value = car.id;
+            option.textContent = car.name;
+            this.carSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Run a DevToolsSystem action with the panel's inputs and report the result
+     * @param {string} action - DevToolsSystem method name
+     */
+    runAction(action) {
+        const devTools = this.game.devTools;
+        const inputs = {
+            grantCurrency: () => [Number(this.grantInput.value)],
+            grantNip: () => [Number(this.grantInput.value)],
+            grantXP: () => [Number(this.grantInput.value)],
+            setGarageLevel: () => [Number(this.levelInput.value)],
+            setTier: () => [Number(this.levelInput.value)],
+            unlockCars: () => [],
+            unlockAchievements: () => [],
+            spawnCar: () => [this.carSelect.value],
+            spawnContract: () => [this.carSelect.value]
+        };
+        if (!inputs[action]) return;
+
+        const result = devTools.run(action, ...inputs[action]());
+        EventBus.emit(GameEvents.NOTIFICATION, {
+            message: `[DEV] ${result.message}`,
+            type: result.ok ? null : 'warning'
+        });
+
+        this.game.refreshUI();
+        this.renderState();
+    }
+
+    /**
+     * Show the live state (as it would be saved)
+     */
+    renderState() {
+        this.renderRecording();
+        if (!this.stateEl) return;
+        this.stateEl.textContent = JSON.stringify(this.game.devTools.inspectState(), null, 2);
+    }
+
+    /**
+     * Show whether a session is being recorded
+     */
+    renderRecording() {
+        if (!this.recordingStatusEl) return;
+
+        const recorder = this.game.sessionRecorder;
+        this.recordingStatusEl.textContent = recorder.isRecording()
+            ? `on (${recorder.getActionCount()} actions)`
+            : 'off';
+    }
+
+    /**
+     * Show the current speed and highlight its button
+     * @param {number} scale - Current time scale
+     */
+    renderSpeed(scale) {
+        if (this.speedValueEl) {
+            this.speedValueEl.textContent = `${scale}x`;
+        }
+        this.speedButtons.forEach((button) => {
+            button.classList.toggle('active', Number(button.dataset.scale) === scale);
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     * @param {boolean} [visible] - Force a state (toggles when omitted)
+     * @returns {boolean} True if the panel is now visible
+     */
+    toggle(visible) {
+        if (!this.panelEl) return false;
+
+        const show = visible === undefined ? this.panelEl.classList.contains('hidden') : visible;
+        this.panelEl.classList.toggle('hidden', !show);
+        this.panelEl.setAttribute('aria-hidden', String(!show));
+
+        // Keep the state view live only while it can be seen
+        clearInterval(this.stateTimer);
+        this.stateTimer = null;
+        if (show) {
+            this.renderState();
+            this.stateTimer = setInterval(() => this.renderState(), 1000);
+        }
+
+        return show;
+    }
+
+    /**
+     * Check if the panel is open
+     * @returns {boolean} True if visible
+     */
+    isOpen() {
+        return !!this.panelEl && !this.panelEl.classList.contains('hidden');
+    }
+}
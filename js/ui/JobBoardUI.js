@@ -83,7 +83,7 @@ class JobBoardUI {
         this.activeEl.innerHTML = `
             <div class="job-active-card">
                 <div class="job-card-title">Active: ${active.label}</div>
-                <div class="job-card-line">Payout x${active.payoutMultiplier.toFixed(2)} | XP +${active.bonusXP}</div>
+                <div class="job-card-line">Payout x${active.payoutMultiplier.toFixed(2)} | XP +${NumberFormatter.format(active.bonusXP)}</div>
                 <div class="job-card-line">Repair x${active.repairMultiplier.toFixed(2)}</div>
                 <div class="job-card-line">Time Left: <span class="job-active-time">--:--</span></div>
                 <button type="button" class="menu-btn job-abandon-btn">Abandon</button>
@@ -117,7 +117,7 @@ class JobBoardUI {
             card.innerHTML = `
                 <div class="job-card-title">${contract.label}</div>
                 <div class="job-card-line">Repair x${contract.repairMultiplier.toFixed(2)}</div>
-                <div class="job-card-line">Payout x${contract.payoutMultiplier.toFixed(2)} | XP +${contract.bonusXP}</div>
+                <div class="job-card-line">Payout x${contract.payoutMultiplier.toFixed(2)} | XP +${NumberFormatter.format(contract.bonusXP)}</div>
                 <div class="job-card-line">Deadline ${Math.ceil(contract.durationMs / 1000)}s</div>
                 <button type="button" class="menu-btn job-accept-btn"${acceptDisabled ? ' disabled' : ''}>Accept</button>
             `;
@@ -3,8 +3,14 @@
  * Uses JS-driven positioning for consistent scroll speed regardless of content length
  */
 class NewsTicker {
-    constructor(state) {
+    /**
+     * Create news ticker
+     * @param {GameState} state - Game state reference
+     * @param {RandomStream} rng - Cosmetic random stream
+     */
+    constructor(state, rng) {
         this.state = state;
+        this.rng = rng;
         this.element = document.getElementById('news-content');
         this.container = document.getElementById('news-ticker');
 
@@ -237,7 +243,7 @@ class NewsTicker {
     getContextualNews() {
         const s = this.state;
         if (s.prestigeCurrency > 0) return "Timeline anomaly detected near garage";
-        if (s.currency > 1000000) return "Garage owner featured in 'Richest Cats Monthly'";
+        if (s.currency.gt(1000000)) return "Garage owner featured in 'Richest Cats Monthly'";
         if (s.workers && s.workers.length > 5) return "Garage workforce reaches 'adorable' levels";
         if (s.garageLevel > 10) return "Garage empire continues to expand";
         if (s.garageLevel > 5) return "Garage upgrading to double-wide napping area";
@@ -252,7 +258,7 @@ class NewsTicker {
      */
     shuffleArray(arr) {
         for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.rng.int(i + 1);
             [arr[i], arr[j]] = [arr[j], arr[i]];
         }
         return arr;
@@ -57,7 +57,7 @@ class ShopUI {
             item.classList.add('disabled');
         }
 
-        const gap = Math.max(0, upgrade.cost - this.upgradeSystem.state.currency);
+        const gap = BigNum.max(0, upgrade.cost.sub(this.upgradeSystem.state.currency));
         const gapMarkup = !upgrade.canPurchase && !upgrade.isMaxed
             ? `<div class="shop-item-gap">Need ${NumberFormatter.formatCurrency(gap)}</div>`
             : '';
@@ -130,7 +130,7 @@ class ShopUI {
             item.classList.add('disabled');
         }
 
-        const gap = Math.max(0, worker.cost - this.workerSystem.state.currency);
+        const gap = BigNum.max(0, worker.cost.sub(this.workerSystem.state.currency));
         const gapMarkup = !worker.canHire
             ? `<div class="shop-item-gap">Need ${NumberFormatter.formatCurrency(gap)}</div>`
             : '';
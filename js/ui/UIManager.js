@@ -5,9 +5,11 @@ class UIManager {
     /**
      * Create UI manager
      * @param {GameState} gameState - Game state reference
+     * @param {RandomStream} rng - Cosmetic random stream
      */
-    constructor(gameState) {
+    constructor(gameState, rng) {
         this.state = gameState;
+        this.rng = rng;
 
         // DOM elements
         this.elements = {
@@ -41,12 +43,12 @@ class UIManager {
         // Game events
         EventBus.on(GameEvents.CURRENCY_CHANGED, (amount) => this.updateCurrency(amount));
         EventBus.on(GameEvents.CLICK_POWER_CHANGED, (power) => this.updateClickPower(power));
-        EventBus.on(GameEvents.CAR_STARTED, (data) => this.updateCurrentCar(data.car));
-        EventBus.on(GameEvents.CAR_PROGRESS, (data) => this.updateRepairProgress(data.progress));
         EventBus.on(GameEvents.CAR_REPAIRED, (data) => this.onCarRepaired(data));
         EventBus.on(GameEvents.CLICK_PERFORMED, (data) => this.showFloatingNumber(data));
         EventBus.on(GameEvents.OFFLINE_EARNINGS, (data) => this.showOfflineEarnings(data));
-        EventBus.on(GameEvents.NOTIFICATION, (data) => this.showNotification(data.message));
+        EventBus.on(GameEvents.NOTIFICATION, (data) => {
+            this.showNotification(data.message, data.type, data.duration);
+        });
         EventBus.on(GameEvents.GAME_SAVED, () => this.showNotification('Game saved!'));
         EventBus.on(GameEvents.ACHIEVEMENT_UNLOCKED, (data) => {
             this.showNotification(`Achievement: ${data.achievement.name}`);
@@ -77,7 +79,7 @@ class UIManager {
 
     /**
      * Update currency display
-     * @param {number} amount - Current currency
+     * @param {BigNum} amount - Current currency
      */
     updateCurrency(amount) {
         if (this.elements.currencyValue) {
@@ -112,8 +114,8 @@ class UIManager {
     }
 
     /**
-     * Update current car display
-     * @param {Car} car - Current car or null
+     * Update the car panel
+     * @param {Car|null} car - Car to show, or null when every bay is empty
      */
     updateCurrentCar(car) {
         if (!car) {
@@ -164,9 +166,6 @@ class UIManager {
             ? ` (Combo +${Math.floor((data.clickBonusMultiplier - 1) * 100)}%)`
             : '';
         this.showNotification(`+${NumberFormatter.formatCurrency(data.payment)}${comboBonus}`);
-
-        // Clear current car display
-        this.updateCurrentCar(null);
     }
 
     /**
@@ -239,7 +238,7 @@ class UIManager {
         numEl.textContent = '+' + NumberFormatter.format(data.amount);
 
         // Random offset
-        const offsetX = (Math.random() - 0.5) * 40;
+        const offsetX = (this.rng.next() - 0.5) * 40;
         numEl.style.left = `${data.x + offsetX}px`;
         numEl.style.top = `${data.y}px`;
 
@@ -254,12 +253,14 @@ class UIManager {
     /**
      * Show notification message
      * @param {string} message - Message to show
+     * @param {string} [type] - Style variant (e.g. 'success', 'warning')
+     * @param {number} [duration=2000] - How long to show it (ms)
      */
-    showNotification(message) {
+    showNotification(message, type = null, duration = 2000) {
         if (!this.elements.notifications) return;
 
         const notifEl = document.createElement('div');
-        notifEl.className = 'notification';
+        notifEl.className = type ? `notification ${type}` : 'notification';
         notifEl.textContent = message;
 
         this.elements.notifications.appendChild(notifEl);
@@ -268,15 +269,28 @@ class UIManager {
         setTimeout(() => {
             notifEl.style.opacity = '0';
             setTimeout(() => notifEl.remove(), 300);
-        }, 2000);
+        }, duration);
     }
 
     /**
      * Show offline earnings modal
-     * @param {Object} data - Offline earnings data
+     * @param {Object} data - Offline progress report (see OfflineProgressSystem.simulate)
      */
     showOfflineEarnings(data) {
-        if (!this.elements.offlineModal || data.earnings <= 0) return;
+        if (!this.elements.offlineModal) return;
+
+        // Same modal for a closed game and a tab that was left in the background
+        const inBackground = data.source === 'background';
+        const titleEl = document.getElementById('offline-title');
+        const introEl = document.getElementById('offline-intro');
+        if (titleEl) {
+            titleEl.textContent = inBackground ? 'Back to the Garage!' : 'Welcome Back!';
+        }
+        if (introEl) {
+            introEl.textContent = inBackground
+                ? 'While you were in another tab, your cat-maids earned:'
+                : 'While you were away, your cat-maids earned:';
+        }
 
         if (this.elements.offlineEarnings) {
             this.elements.offlineEarnings.textContent = NumberFormatter.formatCurrency(data.earnings);
@@ -286,18 +300,136 @@ class UIManager {
         const carsEl = document.getElementById('offline-cars');
 
         if (timeEl) {
-            const minutes = Math.floor(data.time / 60000);
-            const seconds = Math.floor((data.time % 60000) / 1000);
-            timeEl.textContent = `${minutes}m ${seconds}s`;
+            timeEl.textContent = NumberFormatter.formatTime(data.awayTime || data.time);
         }
 
         if (carsEl) {
             carsEl.textContent = NumberFormatter.format(data.carsRepaired);
         }
 
+        const xpEl = document.getElementById('offline-xp');
+        const levelsEl = document.getElementById('offline-levels');
+        const levelRangeEl = document.getElementById('offline-level-range');
+
+        if (xpEl) {
+            xpEl.textContent = NumberFormatter.format(data.xpGained || 0);
+        }
+
+        if (levelsEl && levelRangeEl) {
+            const leveledUp = data.levelsGained > 0;
+            levelsEl.classList.toggle('hidden', !leveledUp);
+            if (leveledUp) {
+                levelRangeEl.textContent = `${data.startLevel} → ${data.endLevel}`;
+            }
+        }
+
+        this.renderOfflineDetails(data);
+
+        const rulesEl = document.getElementById('offline-rules');
+        if (rulesEl) {
+            let rules = inBackground
+                ? 'Cat-maids work at full speed while the game is open in another tab.'
+                : `Cat-maids work at ${NumberFormatter.formatPercent(data.efficiency || 0)} speed while you're away.`;
+            if (data.capped) {
+                rules += ` Only the first ${NumberFormatter.formatTime(data.capMs)} counted.`;
+            }
+            rulesEl.textContent = rules;
+        }
+
         this.elements.offlineModal.classList.remove('hidden');
     }
 
+    /**
+     * Fill the offline modal's breakdown sections
+     * @param {Object} data - Offline progress report
+     */
+    renderOfflineDetails(data) {
+        const detailsEl = document.getElementById('offline-details');
+        if (!detailsEl) return;
+
+        detailsEl.innerHTML = '';
+
+        const rarityOrder = Object.keys(RarityColors);
+        const byRarity = Object.entries(data.carsByRarity || {})
+            .sort((a, b) => rarityOrder.indexOf(a[0]) - rarityOrder.indexOf(b[0]))
+            .map(([rarity, count]) => ({
+                label: rarity.charAt(0).toUpperCase() + rarity.slice(1),
+                value: NumberFormatter.format(count),
+                color: RarityColors[rarity]
+            }));
+
+        const byType = Object.values(data.carsByType || {})
+            .sort((a, b) => b.count - a.count)
+            .map(car => ({
+                label: car.name,
+                value: `x${NumberFormatter.format(car.count)}`,
+                color: RarityColors[car.rarity]
+            }));
+
+        const carsUnlocked = (data.carsUnlocked || []).map(carId => ({
+            label: CarData[carId] ? CarData[carId].name : carId,
+            value: 'Unlocked'
+        }));
+
+        const contractsExpired = (data.contractsExpired || []).map(contract => ({
+            label: contract.label,
+            value: 'Expired'
+        }));
+
+        const workerLevels = Object.values(data.workerLevelUps || {}).map(levelUp => ({
+            label: levelUp.name,
+            value: `Lv ${levelUp.from} > ${levelUp.to}`
+        }));
+
+        const achievements = (data.achievementsUnlocked || []).map(achievement => ({
+            label: achievement.name,
+            value: achievement.icon || ''
+        }));
+
+        this.appendOfflineSection(detailsEl, 'By Rarity', byRarity);
+        this.appendOfflineSection(detailsEl, 'By Car', byType);
+        this.appendOfflineSection(detailsEl, 'New Cars', carsUnlocked);
+        this.appendOfflineSection(detailsEl, 'Crew Levels', workerLevels);
+        this.appendOfflineSection(detailsEl, 'Contracts Expired', contractsExpired);
+        this.appendOfflineSection(detailsEl, 'Achievements', achievements);
+    }
+
+    /**
+     * Add one titled list to the offline breakdown (skipped when empty)
+     * @param {HTMLElement} parent - Container
+     * @param {string} title - Section title
+     * @param {Array<Object>} rows - { label, value, color? } rows
+     */
+    appendOfflineSection(parent, title, rows) {
+        if (rows.length === 0) return;
+
+        const section = document.createElement('div');
+        section.className = 'offline-section';
+
+        const titleEl = document.createElement('div');
+        titleEl.className = 'offline-section-title';
+        titleEl.textContent = title;
+        section.appendChild(titleEl);
+
+        const list = document.createElement('ul');
+        rows.forEach((row) => {
+            const item = document.createElement('li');
+            const labelEl = document.createElement('span');
+            labelEl.textContent = row.label;
+            if (row.color) {
+                labelEl.style.color = row.color;
+            }
+            const valueEl = document.createElement('span');
+            valueEl.textContent = row.value;
+            item.appendChild(labelEl);
+            item.appendChild(valueEl);
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        parent.appendChild(section);
+    }
+
     /**
      * Hide offline earnings modal
      */
@@ -314,7 +446,8 @@ class UIManager {
         this.updateCurrency(this.state.currency);
         this.updateClickPower(this.state.clickPower);
         this.updateAutoRate(this.state.autoRepairRate);
-        this.updateCurrentCar(this.state.currentCar);
+        const occupied = this.state.getOccupiedBays();
+        this.updateCurrentCar(occupied.length > 0 ? this.state.getBayCar(occupied[0]) : null);
         this.updateCarQueue(this.state.carQueue);
         this.updateCombo(1, 2 + (this.state.comboMaxBonus || 0));
     }
@@ -388,7 +521,7 @@ class UIManager {
 
         const xpElement = document.createElement('div');
         xpElement.className = 'floating-xp';
-        xpElement.textContent = `+${amount} XP`;
+        xpElement.textContent = `+${NumberFormatter.format(amount)} XP`;
 
         // Position near progression bar
         const rect = this.elements.progressionDisplay.getBoundingClientRect();
@@ -0,0 +1,75 @@
+/**
+ * BayLayout - Where each service bay sits in the game area (internal resolution)
+ * Shared by Renderer (drawing) and ClickSystem (hit testing) so they always agree.
+ * Bays stand side by side left of Cheese; more bays means smaller cars.
+ */
+const BayLayout = {
+    // Car squares by bay count (1 bay keeps the original lift position)
+    layouts: {
+        1: [{ x: 80, y: 130, size: 140 }],
+        2: [{ x: 14, y: 122, size: 104 }, { x: 124, y: 122, size: 104 }],
+        3: [{ x: 6, y: 150, size: 74 }, { x: 82, y: 150, size: 74 }, { x: 158, y: 150, size: 74 }]
+    },
+
+    // Forgiving click padding, plus room for the progress bar above the car
+    hitPadding: 10,
+    hitAbove: 30,
+    hitBelow: 10,
+
+    /**
+     * Get the car squares for a number of bays
+     * @param {number} count - Number of bays
+     * @returns {Array<{x: number, y: number, size: number}>} One entry per bay
+     */
+    getBays(count) {
+        const maxCount = Object.keys(this.layouts).length;
+        return this.layouts[Math.min(Math.max(1, count), maxCount)];
+    },
+
+    /**
+     * Get one bay's car square
+     * @param {number} index - Bay index
+     * @param {number} count - Number of bays
+     * @returns {{x: number, y: number, size: number}} Car square
+     */
+    getBay(index, count) {
+        return this.getBays(count)[index];
+    },
+
+    /**
+     * Get the middle of a bay's car square
+     * @param {number} index - Bay index
+     * @param {number} count - Number of bays
+     * @returns {{x: number, y: number}} Centre point
+     */
+    getCenter(index, count) {
+        const bay = this.getBay(index, count);
+        return { x: bay.x + bay.size / 2, y: bay.y + bay.size / 2 };
+    },
+
+    /**
+     * Find the bay under a point
+     * Padded hitboxes of neighbouring bays can overlap; the nearer bay wins.
+     * @param {number} x - X coordinate (internal resolution)
+     * @param {number} y - Y coordinate (internal resolution)
+     * @param {number} count - Number of bays
+     * @returns {number} Bay index, or -1 if the point misses every bay
+     */
+    findBayAt(x, y, count) {
+        let found = -1;
+        let bestDistance = Infinity;
+
+        this.getBays(count).forEach((bay, index) => {
+            const inside = x >= bay.x - this.hitPadding && x <= bay.x + bay.size + this.hitPadding &&
+                y >= bay.y - this.hitAbove && y <= bay.y + bay.size + this.hitBelow;
+            const distance = Math.abs(x - (bay.x + bay.size / 2));
+
+            if (inside && distance < bestDistance) {
+                found = index;
+                bestDistance = distance;
+            }
+        });
+
+        return found;
+    }
+};
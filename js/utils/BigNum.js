@@ -0,0 +1,265 @@
+/**
+ * BigNum - Whole-number money amounts with no upper limit
+ * Currency, earnings and shop costs grow exponentially over long runs; plain
+ * numbers lose whole dollars past 2^53 and turn into Infinity past ~1.8e308.
+ * BigNum wraps a BigInt, so amounts stay exact at any size. Instances are
+ * immutable: every operation returns a new BigNum.
+ *
+ * Operations take a BigNum, a number or a digit string. Numbers are floored to
+ * whole dollars; multiplying by a fractional number (e.g. a 1.5x multiplier)
+ * floors the result, matching Math.floor(amount * multiplier) for small amounts.
+ * Saves store amounts as digit strings (see toString()).
+ */
+class BigNum {
+    static ZERO = new BigNum(0n);
+
+    /**
+     * @param {bigint} value - Whole amount
+     */
+    constructor(value) {
+        this.value = value;
+    }
+
+    /**
+     * Convert a value to a BigNum
+     * @param {BigNum|number|string|bigint} value - Amount (missing or unreadable values are 0)
+     * @returns {BigNum} BigNum
+     */
+    static from(value) {
+        if (value instanceof BigNum) return value;
+        if (typeof value === 'bigint') return new BigNum(value);
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? new BigNum(BigInt(Math.floor(value))) : BigNum.ZERO;
+        }
+        if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+            return new BigNum(BigInt(value.trim()));
+        }
+        return BigNum.ZERO;
+    }
+
+    /**
+     * Check that a value is a saved amount (non-negative digit string)
+     * @param {*} value - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isSerialized(value) {
+        return typeof value === 'string' && /^\d+$/.test(value);
+    }
+
+    /**
+     * floor(base * ratio^n), also past the range of plain numbers (used for shop costs)
+     * @param {number} base - Starting amount
+     * @param {number} ratio - Growth per step
+     * @param {number} n - Number of steps
+     * @returns {BigNum} Amount
+     */
+    static geometric(base, ratio, n) {
+        const amount = Math.floor(base * Math.pow(ratio, n));
+        if (Number.isFinite(amount)) {
+            return BigNum.from(amount);
+        }
+        return BigNum.fromLog10(Math.log10(base) + n * Math.log10(ratio));
+    }
+
+    /**
+     * floor(10^exponent), to about 15 significant digits
+     * @param {number} exponent - Base-10 logarithm of the amount
+     * @returns {BigNum} Amount
+     */
+    static fromLog10(exponent) {
+        const whole = Math.floor(exponent);
+        const leading = BigInt(Math.floor(Math.pow(10, exponent - whole + 15)));
+        const shift = whole - 15;
+        return new BigNum(shift >= 0 ? leading * 10n ** BigInt(shift) : leading / 10n ** BigInt(-shift));
+    }
+
+    /**
+     * Larger of two amounts
+     * @param {BigNum|number|string} a - Amount
+     * @param {BigNum|number|string} b - Amount
+     * @returns {BigNum} Larger amount
+     */
+    static max(a, b) {
+        const x = BigNum.from(a);
+        const y = BigNum.from(b);
+        return x.gte(y) ? x : y;
+    }
+
+    /**
+     * @param {BigNum|number|string} other - Amount to add
+     * @returns {BigNum} Sum
+     */
+    add(other) {
+        return new BigNum(this.value + BigNum.from(other).value);
+    }
+
+    /**
+     * @param {BigNum|number|string} other - Amount to subtract
+     * @returns {BigNum} Difference
+     */
+    sub(other) {
+        return new BigNum(this.value - BigNum.from(other).value);
+    }
+
+    /**
+     * Multiply, flooring the result when the factor is fractional
+     * @param {BigNum|number|string} factor - Multiplier
+     * @returns {BigNum} Product
+     */
+    mul(factor) {
+        if (typeof factor !== 'number') {
+            return new BigNum(this.value * BigNum.from(factor).value);
+        }
+        if (!Number.isFinite(factor)) {
+            return BigNum.ZERO;
+        }
+
+        // Small amounts: exactly the plain-number result, so balance doesn't shift
+        const plain = Number(this.value) * factor;
+        if (Math.abs(plain) <= Number.MAX_SAFE_INTEGER) {
+            return BigNum.from(plain);
+        }
+        if (Number.isInteger(factor) && Math.abs(factor) <= Number.MAX_SAFE_INTEGER) {
+            return new BigNum(this.value * BigInt(factor));
+        }
+
+        // Fractional factor on a large amount: scale it to a 16-digit integer
+        const [digits, exponent] = factor.toExponential(15).split('e');
+        const scaled = BigInt(digits.replace('.', ''));
+        const shift = Number(exponent) - 15;
+        const product = this.value * scaled;
+        return new BigNum(shift >= 0 ? product * 10n ** BigInt(shift) : BigNum.floorDiv(product, 10n ** BigInt(-shift)));
+    }
+
+    /**
+     * Divide, rounding down
+     * @param {BigNum|number|string} divisor - Whole divisor (not 0)
+     * @returns {BigNum} Quotient
+     */
+    div(divisor) {
+        return new BigNum(BigNum.floorDiv(this.value, BigNum.from(divisor).value));
+    }
+
+    /**
+     * Square root, rounded down
+     * @returns {BigNum} floor(sqrt(this)) (0 for negative amounts)
+     */
+    sqrt() {
+        if (this.value <= 0n) return BigNum.ZERO;
+
+        // Newton's method from a float estimate
+        let x = BigNum.fromLog10(this.log10() / 2).value + 1n;
+        for (;;) {
+            const next = (x + this.value / x) / 2n;
+            if (next >= x) break;
+            x = next;
+        }
+        while (x * x > this.value) x--;
+        while ((x + 1n) * (x + 1n) <= this.value) x++;
+        return new BigNum(x);
+    }
+
+    /**
+     * Compare with another amount
+     * @param {BigNum|number|string} other - Amount
+     * @returns {number} -1, 0 or 1
+     */
+    cmp(other) {
+        const b = BigNum.from(other).value;
+        if (this.value === b) return 0;
+        return this.value < b ? -1 : 1;
+    }
+
+    /**
+     * @param {BigNum|number|string} other - Amount
+     * @returns {boolean} True if this is at least other
+     */
+    gte(other) {
+        return this.cmp(other) >= 0;
+    }
+
+    /**
+     * @param {BigNum|number|string} other - Amount
+     * @returns {boolean} True if this is more than other
+     */
+    gt(other) {
+        return this.cmp(other) > 0;
+    }
+
+    /**
+     * @param {BigNum|number|string} other - Amount
+     * @returns {boolean} True if this is less than other
+     */
+    lt(other) {
+        return this.cmp(other) < 0;
+    }
+
+    /**
+     * @param {BigNum|number|string} other - Amount
+     * @returns {boolean} True if this is at most other
+     */
+    lte(other) {
+        return this.cmp(other) <= 0;
+    }
+
+    /**
+     * @returns {boolean} True if the amount is 0
+     */
+    isZero() {
+        return this.value === 0n;
+    }
+
+    /**
+     * @returns {boolean} True if the amount is below 0
+     */
+    isNegative() {
+        return this.value < 0n;
+    }
+
+    /**
+     * Base-10 logarithm (for formatting and charts)
+     * @returns {number} log10 of the amount (-Infinity for 0)
+     */
+    log10() {
+        if (this.value <= 0n) return this.value === 0n ? -Infinity : NaN;
+
+        const digits = this.value.toString();
+        if (digits.length <= 15) return Math.log10(Number(this.value));
+        return Math.log10(Number(digits.slice(0, 17)) / 1e16) + digits.length - 1;
+    }
+
+    /**
+     * Nearest plain number (Infinity past ~1.8e308)
+     * @returns {number} Number
+     */
+    toNumber() {
+        return Number(this.value);
+    }
+
+    /**
+     * Exact digits, as stored in saves
+     * @returns {string} Digit string
+     */
+    toString() {
+        return this.value.toString();
+    }
+
+    /**
+     * JSON.stringify() writes the digit string (BigInt can't be stringified)
+     * @returns {string} Digit string
+     */
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * Integer division rounding toward -Infinity (BigInt division truncates toward 0)
+     * @param {bigint} a - Dividend
+     * @param {bigint} b - Divisor
+     * @returns {bigint} floor(a / b)
+     */
+    static floorDiv(a, b) {
+        const q = a / b;
+        return (a % b !== 0n && (a < 0n) !== (b < 0n)) ? q - 1n : q;
+    }
+}
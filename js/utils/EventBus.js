@@ -83,6 +83,7 @@ const GameEvents = {
     CURRENCY_EARNED: 'currency:earned',
     CURRENCY_SPENT: 'currency:spent',
     PRESTIGE_CURRENCY_CHANGED: 'prestige:currency:changed',
+    PRESTIGE_STARTED: 'prestige:started',
 
     // Car events
     CAR_QUEUED: 'car:queued',
@@ -98,11 +99,17 @@ const GameEvents = {
     // Worker events
     WORKER_HIRED: 'worker:hired',
     WORKER_WORKING: 'worker:working',
+    WORKER_ASSIGNED: 'worker:assigned',
+    WORKER_LEVEL_UP: 'worker:levelup',
 
     // Game events
     GAME_SAVED: 'game:saved',
     GAME_LOADED: 'game:loaded',
     GAME_RESET: 'game:reset',
+    TIME_SCALE_CHANGED: 'game:timescale:changed',
+    TIME_SKIPPED: 'game:time:skipped',
+    TIME_CAUGHT_UP: 'game:time:caughtup',
+    DEV_ACTION: 'game:dev:action',
 
     // Achievement events
     ACHIEVEMENT_UNLOCKED: 'achievement:unlocked',
@@ -0,0 +1,107 @@
+/**
+ * Clock - The game's notion of "now"
+ * Every timestamp the simulation stores or compares (contract expiry, combo
+ * timing, save times, offline progress) comes from here instead of
+ * Date.now()/performance.now(), so time can be sped up or stepped by hand.
+ *
+ * Modes:
+ *   real   - follows the wall clock (plus any advance() fast-forwards)
+ *   scaled - runs at `scale` x real time from the moment it was switched on
+ *   manual - only moves when advance() is called
+ */
+class Clock {
+    constructor() {
+        this.useRealTime();
+    }
+
+    /**
+     * Read the wall clock
+     * @returns {number} Epoch milliseconds
+     */
+    static realNow() {
+        return Date.now();
+    }
+
+    /**
+     * Current game time
+     * @returns {number} Whole epoch milliseconds (game time), like Date.now()
+     */
+    now() {
+        if (this.mode === 'manual') {
+            return Math.floor(this.manualTime);
+        }
+        return Math.floor(this.baseGameTime + (Clock.realNow() - this.baseRealTime) * this.scale);
+    }
+
+    /**
+     * Follow the wall clock again (drops any scaling and fast-forwards)
+     */
+    useRealTime() {
+        this.mode = 'real';
+        this.scale = 1;
+        this.baseRealTime = Clock.realNow();
+        this.baseGameTime = this.baseRealTime;
+        this.manualTime = 0;
+    }
+
+    /**
+     * Run faster or slower than real time, continuing from the current game time
+     * @param {number} scale - Game ms per real ms (e.g. 10 = ten times faster)
+     */
+    useScaledTime(scale) {
+        const now = this.now();
+        this.mode = 'scaled';
+        this.scale = Math.max(0, scale);
+        this.baseRealTime = Clock.realNow();
+        this.baseGameTime = now;
+    }
+
+    /**
+     * Freeze time so it only moves through advance()
+     * @param {number} [startTime] - Game time to start from (defaults to the current game time)
+     */
+    useManualTime(startTime = this.now()) {
+        this.mode = 'manual';
+        this.scale = 0;
+        this.manualTime = startTime;
+    }
+
+    /**
+     * Jump game time forward
+     * @param {number} ms - Milliseconds to skip
+     */
+    advance(ms) {
+        if (this.mode === 'manual') {
+            this.manualTime += ms;
+        } else {
+            this.baseGameTime += ms;
+        }
+    }
+
+    /**
+     * How far game time has run ahead of the wall clock
+     * @returns {number} Milliseconds (negative if behind)
+     */
+    getDrift() {
+        return this.now() - Clock.realNow();
+    }
+
+    /**
+     * Get the current mode
+     * @returns {string} 'real', 'scaled' or 'manual'
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Get how fast game time runs relative to real time
+     * @returns {number} Scale (0 when manual)
+     */
+    getScale() {
+        return this.scale;
+    }
+}
+
+// Shared clock used by every system
+const GameClock = new Clock();
@@ -0,0 +1,228 @@
+/**
+ * GameStorage - Picks the storage backend and moves old data onto it
+ * Prefers IndexedDB and falls back to localStorage. Everything the game
+ * persists (saves, slot index, audio and sidebar settings) goes through here,
+ * so writes can be refused in one place while another tab owns the save.
+ */
+const GameStorage = {
+    adapter: null,
+    initPromise: null,
+    keyPrefix: 'gato-garage', // Every key the game has ever written starts with this
+    unloadSuffix: ':unload', // localStorage copies written while the page closes
+    readOnly: false, // Set while another tab owns the save (see SaveManager.setReadOnly)
+
+    /**
+     * Choose a backend and migrate any localStorage data into it (runs once)
+     * @returns {Promise<Object>} The active adapter
+     */
+    init() {
+        if (!this.initPromise) {
+            this.initPromise = this.selectAdapter();
+        }
+        return this.initPromise;
+    },
+
+    /**
+     * Try IndexedDB first, falling back to localStorage
+     * @returns {Promise<Object>} The active adapter
+     */
+    async selectAdapter() {
+        const fallback = new LocalStorageAdapter();
+
+        if (IndexedDBAdapter.isAvailable()) {
+            try {
+                const idb = new IndexedDBAdapter();
+                await idb.open();
+                if (LocalStorageAdapter.isAvailable()) {
+                    await this.migrate(fallback, idb);
+                }
+                this.adapter = idb;
+            } catch (error) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            }
+        }
+
+        if (!this.adapter) {
+            this.adapter = fallback;
+        }
+
+        console.log(`Storage backend: ${this.adapter.name}`);
+        return this.adapter;
+    },
+
+    /**
+     * Copy the game's keys from one adapter to another, then clear the source
+     * Anything left in localStorage was written by the most recent session
+     * that had to fall back, so it wins over what's already in the target.
+     * @param {Object} source - Adapter to move data out of
+     * @param {Object} target - Adapter to move data into
+     * @returns {Promise<number>} Number of keys moved
+     */
+    async migrate(source, target) {
+        const keys = (await source.keys())
+            .filter(key => key && key.startsWith(this.keyPrefix) && !key.endsWith(this.unloadSuffix));
+        if (keys.length === 0) return 0;
+
+        const entries = [];
+        for (const key of keys) {
+            entries.push([key, await source.get(key)]);
+        }
+
+        // Only clear the source once the target has committed everything
+        await target.setMany(entries);
+        for (const key of keys) {
+            await source.remove(key);
+        }
+
+        console.log(`Moved ${keys.length} stored entries from ${source.name} to ${target.name}`);
+        return keys.length;
+    },
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Stored value or null
+     */
+    async get(key) {
+        const adapter = await this.init();
+
+        // Only a write made after it clears the unload copy, so if it's still here it's newer
+        const unloadCopy = this.readUnloadCopy(key);
+        if (unloadCopy !== null) {
+            return unloadCopy;
+        }
+
+        return adapter.get(key);
+    },
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        this.assertWritable(key);
+
+        // Read before the first await: the caller built `value` after any copy already here
+        const supersededCopy = this.readUnloadCopy(key);
+        const adapter = await this.init();
+        await adapter.set(key, value);
+        this.clearUnloadCopy(key, supersededCopy);
+    },
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        this.assertWritable(key);
+        const adapter = await this.init();
+        this.clearUnloadCopy(key);
+        return adapter.remove(key);
+    },
+
+    /**
+     * Refuse writes while another tab owns the save
+     * @param {string} key - Storage key being written
+     * @throws {Error} If storage is read-only
+     */
+    assertWritable(key) {
+        if (this.readOnly) {
+            throw new Error(`Not writing ${key}: another tab owns the save`);
+        }
+    },
+
+    /**
+     * Write a value synchronously while the page is closing
+     * An IndexedDB write started from pagehide usually never commits, so this
+     * goes straight to localStorage. get() returns it until a later set()
+     * for the same key lands on the active backend.
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {boolean} True if written
+     */
+    setUnloadCopy(key, value) {
+        if (this.readOnly || !LocalStorageAdapter.isAvailable()) return false;
+
+        try {
+            localStorage.setItem(key + this.unloadSuffix, value);
+            return true;
+        } catch (error) {
+            console.warn(`Failed to write unload copy of ${key}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Read the unload copy of a value, if one is waiting
+     * @param {string} key - Storage key
+     * @returns {string|null} Unload copy or null
+     */
+    readUnloadCopy(key) {
+        if (!LocalStorageAdapter.isAvailable()) return null;
+
+        try {
+            return localStorage.getItem(key + this.unloadSuffix);
+        } catch (error) {
+            console.warn(`Failed to read unload copy of ${key}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Drop the unload copy of a value once something newer has been stored
+     * @param {string} key - Storage key
+     * @param {string|null} [superseded] - Only drop the copy if it is still this one
+     *   (a copy written while an async write was in flight is newer and stays)
+     */
+    clearUnloadCopy(key, superseded) {
+        const unloadCopy = this.readUnloadCopy(key);
+        if (unloadCopy === null) return;
+        if (superseded !== undefined && unloadCopy !== superseded) return;
+
+        localStorage.removeItem(key + this.unloadSuffix);
+    },
+
+    /**
+     * List every stored key
+     * @returns {Promise<Array<string>>} Keys
+     */
+    async keys() {
+        const adapter = await this.init();
+        return adapter.keys();
+    },
+
+    /**
+     * Read and parse a JSON value
+     * @param {string} key - Storage key
+     * @param {*} fallback - Returned when the key is missing or unreadable
+     * @returns {Promise<*>} Parsed value
+     */
+    async getJSON(key, fallback) {
+        try {
+            const raw = await this.get(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (error) {
+            console.warn(`Failed to read ${key}:`, error);
+            return fallback;
+        }
+    },
+
+    /**
+     * Stringify and write a JSON value, logging (not throwing) on failure
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {Promise<boolean>} True if written
+     */
+    async setJSON(key, value) {
+        try {
+            await this.set(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`Failed to write ${key}:`, error);
+            return false;
+        }
+    }
+};
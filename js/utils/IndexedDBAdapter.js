@@ -0,0 +1,121 @@
+/**
+ * IndexedDBAdapter - Async key/value storage backed by IndexedDB
+ * Keeps saves off the main thread and out of localStorage's ~5MB quota.
+ */
+class IndexedDBAdapter {
+    /**
+     * Create adapter
+     * @param {string} [dbName='gato-garage'] - Database name
+     * @param {string} [storeName='keyval'] - Object store name
+     */
+    constructor(dbName = 'gato-garage', storeName = 'keyval') {
+        this.name = 'IndexedDB';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB exists in this browser
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (or create) the database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+
+        // Let a later call retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction and wait for it to commit
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, may return an IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Stored value or null
+     */
+    async get(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        await this.run('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Write several values in a single transaction
+     * @param {Array<Array>} entries - [key, value] pairs
+     * @returns {Promise<void>}
+     */
+    async setMany(entries) {
+        await this.run('readwrite', (store) => {
+            entries.forEach(([key, value]) => store.put(value, key));
+            return null;
+        });
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * List every stored key
+     * @returns {Promise<Array<string>>} Keys
+     */
+    async keys() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+}
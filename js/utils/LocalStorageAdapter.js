@@ -0,0 +1,71 @@
+/**
+ * LocalStorageAdapter - Storage adapter backed by window.localStorage
+ * Used when IndexedDB is unavailable (old browsers, some private modes).
+ * Exposes the same async interface as IndexedDBAdapter so callers don't care.
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    /**
+     * Check whether localStorage can be used at all
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Stored value or null
+     */
+    async get(key) {
+        return localStorage.getItem(key);
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    /**
+     * Write several values
+     * @param {Array<Array>} entries - [key, value] pairs
+     * @returns {Promise<void>}
+     */
+    async setMany(entries) {
+        entries.forEach(([key, value]) => localStorage.setItem(key, value));
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * List every stored key
+     * @returns {Promise<Array<string>>} Keys
+     */
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+}
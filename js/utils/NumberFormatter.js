@@ -1,5 +1,7 @@
 /**
  * NumberFormatter - Utility for formatting large numbers in idle game style
+ * Amounts of 1000 and up are written in the player's chosen notation
+ * (see notations; the settings modal stores the choice).
  */
 const NumberFormatter = {
     // Standard suffixes for large numbers
@@ -8,14 +10,56 @@ const NumberFormatter = {
         'UDc', 'DDc', 'TDc', 'QaDc', 'QiDc', 'SxDc', 'SpDc', 'OcDc', 'NoDc', 'Vg'
     ],
 
+    // Spelled-out names for the same tiers as suffixes
+    longNames: [
+        '', 'thousand', 'million', 'billion', 'trillion', 'quadrillion', 'quintillion',
+        'sextillion', 'septillion', 'octillion', 'nonillion', 'decillion', 'undecillion',
+        'duodecillion', 'tredecillion', 'quattuordecillion', 'quindecillion', 'sexdecillion',
+        'septendecillion', 'octodecillion', 'novemdecillion', 'vigintillion'
+    ],
+
+    // Selectable notations (example: 1,234,567)
+    notations: {
+        short: { label: 'Short (1.23M)' },
+        long: { label: 'Long (1.23 million)' },
+        scientific: { label: 'Scientific (1.23e+6)' },
+        engineering: { label: 'Engineering (1.23e+6, steps of 3)' },
+        alphabetic: { label: 'Alphabetic (1.23M, then aa, ab...)' }
+    },
+
+    // Current notation (a key of notations)
+    notation: 'short',
+
     /**
-     * Format a number with suffix notation
-     * @param {number} num - Number to format
+     * Switch notation for everything formatted from now on
+     * @param {string} name - Notation key
+     * @returns {boolean} True if the notation exists
+     */
+    setNotation(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.notations, name)) return false;
+        this.notation = name;
+        return true;
+    },
+
+    /**
+     * Get the current notation
+     * @returns {string} Notation key
+     */
+    getNotation() {
+        return this.notation;
+    },
+
+    /**
+     * Format a number in the current notation
+     * @param {number|BigNum|string} num - Number to format (BigNum or saved digit string for money)
      * @param {number} [decimals=2] - Decimal places
      * @returns {string} Formatted number string
      */
     format(num, decimals = 2) {
-        if (num === null || num === undefined || isNaN(num)) {
+        if (typeof num !== 'number') {
+            return this.formatBig(BigNum.from(num), decimals);
+        }
+        if (isNaN(num)) {
             return '0';
         }
 
@@ -27,28 +71,130 @@ const NumberFormatter = {
         if (num < 1000) {
             return sign + Math.floor(num).toString();
         }
+        if (!Number.isFinite(num)) {
+            return sign + 'Infinity';
+        }
 
-        // Calculate the tier (each tier is 1000x)
-        const tier = Math.floor(Math.log10(num) / 3);
+        return sign + this.formatLarge(Math.log10(num), power => num / Math.pow(10, power), decimals);
+    },
 
-        // If we've exceeded our suffix list, use scientific notation
-        if (tier >= this.suffixes.length) {
-            return sign + num.toExponential(decimals);
+    /**
+     * Format a BigNum the same way as format(), including amounts past the number range
+     * @param {BigNum} amount - Amount to format
+     * @param {number} [decimals=2] - Decimal places
+     * @returns {string} Formatted number string
+     */
+    formatBig(amount, decimals = 2) {
+        const sign = amount.isNegative() ? '-' : '';
+        const abs = amount.isNegative() ? amount.mul(-1) : amount;
+        const number = abs.toNumber();
+
+        // A plain number is precise enough to display whenever it fits
+        if (Number.isFinite(number)) {
+            return sign + this.format(number, decimals);
         }
 
-        // Scale the number and format with suffix
-        const scaled = num / Math.pow(1000, tier);
-        const formatted = scaled.toFixed(decimals);
+        const log = abs.log10();
+        return sign + this.formatLarge(log, power => Math.pow(10, log - power), decimals);
+    },
 
-        // Remove trailing zeros after decimal point
-        const trimmed = parseFloat(formatted).toString();
+    /**
+     * Write an amount of 1000 or more in the current notation
+     * @param {number} log - log10 of the amount
+     * @param {Function} scale - power => amount / 10^power, as a number
+     * @param {number} decimals - Decimal places
+     * @returns {string} Formatted amount (no sign)
+     */
+    formatLarge(log, scale, decimals) {
+        switch (this.notation) {
+            case 'long': {
+                const { value, tier } = this.groupByThousands(log, scale, decimals);
+                if (tier >= this.longNames.length) break;
+                return `${value} ${this.longNames[tier]}`;
+            }
+            case 'scientific':
+                return this.formatExponent(log, scale, decimals, 1);
+            case 'engineering':
+                return this.formatExponent(log, scale, decimals, 3);
+            case 'alphabetic': {
+                const { value, tier } = this.groupByThousands(log, scale, decimals);
+                return value + (tier <= 4 ? this.suffixes[tier] : this.letterSuffix(tier - 5));
+            }
+            default: {
+                const { value, tier } = this.groupByThousands(log, scale, decimals);
+                if (tier >= this.suffixes.length) break;
+                return value + this.suffixes[tier];
+            }
+        }
 
-        return sign + trimmed + this.suffixes[tier];
+        // Past the named tiers
+        return this.formatExponent(log, scale, decimals, 1);
+    },
+
+    /**
+     * Scale an amount down by whole thousands, e.g. 1,234,567 -> 1.23 at tier 2
+     * @param {number} log - log10 of the amount
+     * @param {Function} scale - power => amount / 10^power
+     * @param {number} decimals - Decimal places
+     * @returns {{value: string, tier: number}} Scaled value (trailing zeros trimmed) and tier
+     */
+    groupByThousands(log, scale, decimals) {
+        let tier = Math.floor(log / 3);
+        let rounded = Number(scale(tier * 3).toFixed(decimals));
+
+        // 999.999K rounds to 1000K; show 1M instead
+        if (rounded >= 1000) {
+            tier++;
+            rounded = Number(scale(tier * 3).toFixed(decimals));
+        }
+
+        return { value: rounded.toString(), tier };
+    },
+
+    /**
+     * Mantissa and exponent, like toExponential() ("1.23e+45")
+     * @param {number} log - log10 of the amount
+     * @param {Function} scale - power => amount / 10^power
+     * @param {number} decimals - Decimal places
+     * @param {number} step - Exponent multiple (1 scientific, 3 engineering)
+     * @returns {string} Formatted amount
+     */
+    formatExponent(log, scale, decimals, step) {
+        let exponent = Math.floor(Math.floor(log) / step) * step;
+        let mantissa = scale(exponent).toFixed(decimals);
+
+        // 9.999 can round up to 10.00
+        if (Number(mantissa) >= Math.pow(10, step)) {
+            exponent += step;
+            mantissa = scale(exponent).toFixed(decimals);
+        }
+
+        return `${mantissa}e+${exponent}`;
+    },
+
+    /**
+     * Letters for alphabetic notation: 0 -> aa, 1 -> ab, ... 675 -> zz, 676 -> aaa
+     * @param {number} index - Tier past T (0-based)
+     * @returns {string} Suffix
+     */
+    letterSuffix(index) {
+        let length = 2;
+        while (index >= Math.pow(26, length)) {
+            index -= Math.pow(26, length);
+            length++;
+        }
+
+        let letters = '';
+        for (let i = 0; i < length; i++) {
+            letters = String.fromCharCode(97 + (index % 26)) + letters;
+            index = Math.floor(index / 26);
+        }
+        return letters;
     },
 
     /**
      * Format as currency with $ symbol
-     * @param {number} num - Number to format
+     * @param {number|BigNum|string} num - Number to format
      * @param {number} [decimals=2] - Decimal places
      * @returns {string} Formatted currency string
      */
@@ -95,7 +241,7 @@ const NumberFormatter = {
     },
 
     /**
-     * Parse a formatted number string back to a number
+     * Parse a formatted number string back to a number (short suffixes or plain numbers)
      * @param {string} str - Formatted string
      * @returns {number} Parsed number
      */
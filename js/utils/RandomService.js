@@ -0,0 +1,140 @@
+/**
+ * RandomStream - Seedable pseudo-random number generator (mulberry32)
+ * Small, fast and fully described by one 32-bit state, so it can be saved
+ * and resumed to reproduce exactly the same sequence.
+ */
+class RandomStream {
+    /**
+     * Create a stream
+     * @param {number} seed - 32-bit seed
+     */
+    constructor(seed) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Restart the stream from a seed
+     * @param {number} seed - 32-bit seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in for Math.random()
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} items - Items to pick from
+     * @returns {*} Random item (undefined if empty)
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+
+    /**
+     * Snapshot the stream so it can be resumed later
+     * @returns {Object} { seed, state }
+     */
+    serialize() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Resume from a snapshot
+     * @param {Object} data - { seed, state } from serialize()
+     * @returns {boolean} True if the snapshot was usable
+     */
+    restore(data) {
+        if (!data || !Number.isInteger(data.seed) || !Number.isInteger(data.state)) {
+            return false;
+        }
+
+        this.seed = data.seed >>> 0;
+        this.state = data.state >>> 0;
+        return true;
+    }
+}
+
+/**
+ * RandomService - All game randomness, split into two independent streams
+ *   gameplay - anything that affects the simulation (car spawns, contracts);
+ *              saved with the game so a run can be replayed exactly
+ *   cosmetic - particles, headlines, sound variation; never saved, so visual
+ *              noise can't shift the gameplay sequence
+ */
+class RandomService {
+    /**
+     * Create the service
+     * @param {number} [seed] - Gameplay seed (random if omitted)
+     */
+    constructor(seed = RandomService.createSeed()) {
+        this.gameplay = new RandomStream(seed);
+        this.cosmetic = new RandomStream(RandomService.createSeed());
+    }
+
+    /**
+     * Make a fresh 32-bit seed from the browser's entropy
+     * @returns {number} Seed
+     */
+    static createSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Start a new gameplay sequence (e.g. for a new run)
+     * @param {number} [seed] - Gameplay seed (random if omitted)
+     */
+    reseed(seed = RandomService.createSeed()) {
+        this.gameplay.reseed(seed);
+    }
+
+    /**
+     * Snapshot the gameplay stream for saving
+     * @returns {Object} { seed, state }
+     */
+    serialize() {
+        return this.gameplay.serialize();
+    }
+
+    /**
+     * Resume the gameplay stream from a save
+     * @param {Object} data - { seed, state }
+     * @returns {boolean} True if restored
+     */
+    restore(data) {
+        return this.gameplay.restore(data);
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * SaveCodec - Compact text format for exported saves
+ *
+ * Format: GG.<codec version>.<z|u>.<checksum>.<payload>
+ *   z/u      - payload is deflate-compressed (z) or raw (u) UTF-8
+ *   checksum - SaveIntegrity.checksum of the save JSON
+ *   payload  - base64url, so the string survives chat apps and URLs
+ *
+ * Strings without the header are treated as legacy btoa(JSON) exports.
+ */
+const SaveCodec = {
+    formatId: 'GG',
+    codecVersion: 1,
+
+    /**
+     * Encode save JSON as an export string
+     * @param {string} saveString - Save JSON
+     * @returns {Promise<string>} Export string
+     */
+    async encode(saveString) {
+        let bytes = new TextEncoder().encode(saveString);
+        let flag = 'u';
+
+        if (this.canCompress()) {
+            bytes = await this.transform(bytes, new CompressionStream('deflate-raw'));
+            flag = 'z';
+        }
+
+        return [
+            this.formatId,
+            this.codecVersion,
+            flag,
+            SaveIntegrity.checksum(saveString),
+            this.toBase64Url(bytes)
+        ].join('.');
+    },
+
+    /**
+     * Decode an export string (new format or legacy base64) back to save JSON
+     * @param {string} text - Export string
+     * @returns {Promise<string>} Save JSON
+     * @throws {Error} If the string is malformed, unsupported or damaged
+     */
+    async decode(text) {
+        // Chat apps like to wrap long lines
+        const clean = String(text || '').replace(/\s+/g, '');
+        if (!clean) {
+            throw new Error('Save string is empty');
+        }
+
+        if (!clean.startsWith(`${this.formatId}.`)) {
+            return this.decodeLegacy(clean);
+        }
+
+        const parts = clean.split('.');
+        if (parts.length !== 5) {
+            throw new Error('Save string is incomplete');
+        }
+
+        const [, version, flag, checksum, payload] = parts;
+        if (Number(version) > this.codecVersion) {
+            throw new Error(`Save string format ${version} is newer than this game supports`);
+        }
+
+        let bytes = this.fromBase64Url(payload);
+        if (flag === 'z') {
+            if (!this.canDecompress()) {
+                throw new Error('This browser cannot decompress save strings');
+            }
+            try {
+                bytes = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+            } catch (error) {
+                throw new Error('Save string is damaged or cut off');
+            }
+        } else if (flag !== 'u') {
+            throw new Error(`Unknown save string encoding "${flag}"`);
+        }
+
+        const saveString = new TextDecoder().decode(bytes);
+        if (SaveIntegrity.checksum(saveString) !== checksum) {
+            throw new Error('Save string checksum does not match (was it cut off?)');
+        }
+
+        return saveString;
+    },
+
+    /**
+     * Decode a pre-codec export (plain btoa of the save JSON)
+     * @param {string} text - Base64 string
+     * @returns {string} Save JSON
+     */
+    decodeLegacy(text) {
+        try {
+            return atob(text);
+        } catch (error) {
+            throw new Error('Save string is not valid');
+        }
+    },
+
+    /**
+     * Check whether this browser can compress exports
+     * @returns {boolean} True if CompressionStream is available
+     */
+    canCompress() {
+        return typeof CompressionStream !== 'undefined';
+    },
+
+    /**
+     * Check whether this browser can read compressed exports
+     * @returns {boolean} True if DecompressionStream is available
+     */
+    canDecompress() {
+        return typeof DecompressionStream !== 'undefined';
+    },
+
+    /**
+     * Pipe bytes through a (de)compression stream
+     * @param {Uint8Array} bytes - Input bytes
+     * @param {TransformStream} stream - CompressionStream or DecompressionStream
+     * @returns {Promise<Uint8Array>} Output bytes
+     */
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    },
+
+    /**
+     * Encode bytes as unpadded base64url
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} base64url text
+     */
+    toBase64Url(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000; // Stay under argument limits for fromCharCode
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * Decode unpadded base64url to bytes
+     * @param {string} text - base64url text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+
+        let binary;
+        try {
+            binary = atob(padded);
+        } catch (error) {
+            throw new Error('Save string is not valid');
+        }
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+};
@@ -0,0 +1,136 @@
+/**
+ * SaveIntegrity - Checksums and schema checks for serialized game state
+ * Catches truncated or hand-edited saves before they are deserialized
+ * (deserialize() would otherwise quietly zero out anything it can't read).
+ */
+const SaveIntegrity = {
+    /**
+     * Expected shape of a serialized GameState (after migrations)
+     * type: number (finite, >= 0) | integer (>= min) | bignum (digit string) | object | array | car
+     *   | bays (array of car or null)
+     */
+    schema: {
+        currency: { type: 'bignum', required: true },
+        totalEarned: { type: 'bignum', required: true },
+        totalSpent: { type: 'bignum' },
+        totalClicks: { type: 'number' },
+        carsRepaired: { type: 'number' },
+        upgrades: { type: 'object', required: true },
+        nipUpgrades: { type: 'object' },
+        achievements: { type: 'object' },
+        workers: { type: 'array', required: true },
+        workerCounts: { type: 'object' },
+        bays: { type: 'bays' },
+        carQueue: { type: 'array' },
+        jobContracts: { type: 'array' },
+        contractsCompleted: { type: 'number' },
+        contractsFailed: { type: 'number' },
+        totalPlayTime: { type: 'number' },
+        garageXP: { type: 'number' },
+        garageLevel: { type: 'integer', min: 1, required: true },
+        currentTier: { type: 'integer', min: 1 },
+        unlockedCars: { type: 'array', required: true },
+        prestigeCurrency: { type: 'number' },
+        totalPrestigeEarned: { type: 'number' },
+        lifetimeEarnings: { type: 'bignum' },
+        rng: { type: 'object' }
+    },
+
+    /**
+     * Hash a string (cyrb53) - fast, well distributed, not cryptographic
+     * @param {string} str - Input string
+     * @returns {string} 14-char hex digest
+     */
+    checksum(str) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+
+        for (let i = 0; i < str.length; i++) {
+            const ch = str.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+        h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+        h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+        return hash.toString(16).padStart(14, '0');
+    },
+
+    /**
+     * Checksum a serialized state object
+     * @param {Object} state - Serialized state
+     * @returns {string} Checksum
+     */
+    checksumState(state) {
+        return this.checksum(JSON.stringify(state));
+    },
+
+    /**
+     * Verify a save's stored checksum (saves from before checksums pass)
+     * @param {Object} saveData - Parsed save data
+     * @returns {boolean} True if checksum matches or is absent
+     */
+    verifyChecksum(saveData) {
+        if (!saveData.checksum) return true;
+        return this.checksumState(saveData.state) === saveData.checksum;
+    },
+
+    /**
+     * Check a serialized state against the schema
+     * @param {Object} state - Serialized state
+     * @returns {Array<string>} Problems found (empty if valid)
+     */
+    validateState(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            return ['state is not an object'];
+        }
+
+        const errors = [];
+        for (const [field, rule] of Object.entries(this.schema)) {
+            const value = state[field];
+
+            if (value === undefined || value === null) {
+                if (rule.required) errors.push(`${field} is missing`);
+                continue;
+            }
+
+            if (!this.matchesRule(value, rule)) {
+                errors.push(`${field} is not a valid ${rule.type}`);
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * Check one value against a schema rule
+     * @param {*} value - Value to check
+     * @param {Object} rule - Schema rule
+     * @returns {boolean} True if valid
+     */
+    matchesRule(value, rule) {
+        switch (rule.type) {
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+            case 'integer':
+                return Number.isInteger(value) && value >= (rule.min || 0);
+            case 'bignum':
+                return BigNum.isSerialized(value);
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'car':
+                return typeof value === 'object' && typeof value.id === 'string';
+            case 'bays':
+                return Array.isArray(value) && value.length > 0 &&
+                    value.every(car => car === null || this.matchesRule(car, { type: 'car' }));
+            default:
+                return true;
+        }
+    }
+};
@@ -1,44 +1,377 @@
 /**
- * SaveManager - Handles saving and loading game state to localStorage
+ * SaveManager - Handles saving and loading game state through GameStorage
+ * Saves live in named slots; the slot index keeps per-slot metadata so the
+ * start screen can describe a save without loading it. The index is held in
+ * memory, so slot queries stay synchronous while storage I/O is async.
  */
 class SaveManager {
     /**
      * Create save manager
      * @param {GameState} gameState - Game state reference
+     * @param {OfflineProgressSystem} [offlineProgressSystem=null] - Simulates time away on load
+     * @param {Object} [storage=GameStorage] - Async key/value storage
      */
-    constructor(gameState) {
+    constructor(gameState, offlineProgressSystem = null, storage = GameStorage) {
         this.state = gameState;
-        this.saveKey = 'gato-garage-save';
-        this.version = 1; // Increment when save format changes
+        this.offlineProgressSystem = offlineProgressSystem;
+        this.storage = storage;
+        this.legacySaveKey = 'gato-garage-save';
+        this.slotIndexKey = 'gato-garage-slots';
+        this.slotKeyPrefix = 'gato-garage-save:';
+        this.maxSlotNameLength = 24;
+        this.maxAutoBackups = 5; // Most recent auto-saves kept per slot
+        this.maxSnapshots = 5; // Most recent prestige/import/restore snapshots kept per slot
+        this.version = SaveMigrations.getLatestVersion(); // Add a migration step to bump
+        this.migrationHistory = []; // Migration steps applied to the current save lineage
+        this.lastLoadRecovered = false; // Set when load() had to fall back to a backup
         this.autoSaveInterval = 30000; // 30 seconds
         this.autoSaveTimer = null;
+        this.readOnly = false; // Set while another tab owns the save
+
+        // Filled in by init()
+        this.slotIndex = { activeSlotId: null, slots: [] };
+        this.saveKey = null;
+
+        // Snapshot progress right before it gets wiped
+        EventBus.on(GameEvents.PRESTIGE_STARTED, () => this.snapshot('prestige'));
+    }
+
+    /**
+     * Load the slot index from storage. Must finish before any other call.
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.slotIndex = await this.readSlotIndex();
+        this.saveKey = this.getSlotKey(this.slotIndex.activeSlotId);
+    }
+
+    // -------------------------------------------------------------------------
+    // SLOTS
+    // -------------------------------------------------------------------------
+
+    /**
+     * Get the storage key for a slot's save data
+     * @param {string} slotId - Slot ID
+     * @returns {string} Storage key
+     */
+    getSlotKey(slotId) {
+        return `${this.slotKeyPrefix}${slotId}`;
+    }
+
+    /**
+     * Read the slot index, creating it (and adopting any legacy single save) if missing
+     * @returns {Promise<Object>} Slot index { activeSlotId, slots }
+     */
+    async readSlotIndex() {
+        try {
+            const raw = await this.storage.get(this.slotIndexKey);
+            const parsed = raw ? JSON.parse(raw) : null;
+            if (parsed && Array.isArray(parsed.slots) && parsed.slots.length > 0) {
+                if (!parsed.slots.some(slot => slot.id === parsed.activeSlotId)) {
+                    parsed.activeSlotId = parsed.slots[0].id;
+                }
+                return parsed;
+            }
+        } catch (error) {
+            console.error('Failed to read save slot index:', error);
+        }
+
+        const index = { activeSlotId: null, slots: [] };
+        const slot = this.buildSlot(index, 'Main Garage');
+        index.slots.push(slot);
+        index.activeSlotId = slot.id;
+
+        // Adopt the pre-slot save so existing players keep their garage
+        try {
+            const legacySave = await this.storage.get(this.legacySaveKey);
+            if (legacySave) {
+                await this.storage.set(this.getSlotKey(slot.id), legacySave);
+                slot.meta = this.buildSlotMeta(JSON.parse(legacySave));
+                await this.storage.remove(this.legacySaveKey);
+                console.log('Moved legacy save into slot:', slot.name);
+            }
+        } catch (error) {
+            console.error('Failed to migrate legacy save into a slot:', error);
+        }
+
+        await this.writeSlotIndex(index);
+        return index;
     }
 
     /**
-     * Save game state to localStorage
-     * @returns {boolean} True if save successful
+     * Persist the slot index. Slot edits don't wait for this; the in-memory
+     * index is the source of truth and writes commit in order.
+     * @param {Object} [index=this.slotIndex] - Slot index to write
+     * @returns {Promise<void>}
      */
-    save() {
+    async writeSlotIndex(index = this.slotIndex) {
+        try {
+            await this.storage.set(this.slotIndexKey, JSON.stringify(index));
+        } catch (error) {
+            console.error('Failed to write save slot index:', error);
+        }
+    }
+
+    /**
+     * Create a new slot record with a unique ID
+     * @param {Object} index - Slot index the slot will belong to
+     * @param {string} name - Display name
+     * @returns {Object} Slot record
+     */
+    buildSlot(index, name) {
+        let number = index.slots.length + 1;
+        while (index.slots.some(slot => slot.id === `slot-${number}`)) {
+            number++;
+        }
+
+        return {
+            id: `slot-${number}`,
+            name: this.sanitizeSlotName(name) || `Garage ${number}`,
+            createdAt: GameClock.now(),
+            meta: null
+        };
+    }
+
+    /**
+     * Summarize a save for the slot picker
+     * @param {Object} saveData - Parsed save data
+     * @returns {Object|null} Slot metadata
+     */
+    buildSlotMeta(saveData) {
+        if (!saveData || !saveData.state) return null;
+
+        return {
+            currency: saveData.state.currency || '0',
+            garageLevel: saveData.state.garageLevel || 1,
+            prestigeCurrency: saveData.state.prestigeCurrency || 0,
+            totalPlayTime: saveData.state.totalPlayTime || 0,
+            lastSaved: this.getSavedAt(saveData)
+        };
+    }
+
+    /**
+     * Wall-clock time a save was written
+     * @param {Object} saveData - Parsed save data
+     * @returns {number|null} Epoch milliseconds (game time for saves older than savedAt)
+     */
+    getSavedAt(saveData) {
+        return saveData.savedAt || saveData.timestamp || null;
+    }
+
+    /**
+     * How far a save's game clock was ahead of the wall clock when it was written
+     * Dev speed-ups and skip-ahead move game time past real time.
+     * @param {Object} saveData - Parsed save data
+     * @returns {number} Milliseconds (0 for saves older than savedAt)
+     */
+    getSaveDrift(saveData) {
+        return saveData.savedAt ? saveData.timestamp - saveData.savedAt : 0;
+    }
+
+    /**
+     * Trim a slot name to something displayable
+     * @param {string} name - Raw name
+     * @returns {string} Clean name (may be empty)
+     */
+    sanitizeSlotName(name) {
+        return String(name || '').trim().slice(0, this.maxSlotNameLength);
+    }
+
+    /**
+     * Get a slot record by ID
+     * @param {string} slotId - Slot ID
+     * @returns {Object|null} Slot record
+     */
+    getSlot(slotId) {
+        return this.slotIndex.slots.find(slot => slot.id === slotId) || null;
+    }
+
+    /**
+     * Get the slot that saves currently go to
+     * @returns {Object} Active slot record
+     */
+    getActiveSlot() {
+        return this.getSlot(this.slotIndex.activeSlotId);
+    }
+
+    /**
+     * Get all slots with save presence for display
+     * @returns {Array<Object>} Slot info list
+     */
+    listSlots() {
+        return this.slotIndex.slots.map(slot => ({
+            ...slot,
+            active: slot.id === this.slotIndex.activeSlotId,
+            hasSave: this.hasSave(slot.id)
+        }));
+    }
+
+    /**
+     * Check whether any slot holds save data
+     * @returns {boolean} True if at least one slot has a save
+     */
+    hasAnySave() {
+        return this.slotIndex.slots.some(slot => this.hasSave(slot.id));
+    }
+
+    /**
+     * Switch the slot that save/load operate on
+     * @param {string} slotId - Slot ID
+     * @returns {boolean} True if switched
+     */
+    setActiveSlot(slotId) {
+        if (!this.getSlot(slotId)) return false;
+
+        this.slotIndex.activeSlotId = slotId;
+        this.saveKey = this.getSlotKey(slotId);
+        this.writeSlotIndex();
+        return true;
+    }
+
+    /**
+     * Create an empty slot
+     * @param {string} [name] - Display name
+     * @returns {Object} New slot record
+     */
+    createSlot(name) {
+        const slot = this.buildSlot(this.slotIndex, name);
+        this.slotIndex.slots.push(slot);
+        this.writeSlotIndex();
+        return slot;
+    }
+
+    /**
+     * Rename a slot
+     * @param {string} slotId - Slot ID
+     * @param {string} name - New display name
+     * @returns {boolean} True if renamed
+     */
+    renameSlot(slotId, name) {
+        const slot = this.getSlot(slotId);
+        const cleanName = this.sanitizeSlotName(name);
+        if (!slot || !cleanName) return false;
+
+        slot.name = cleanName;
+        this.writeSlotIndex();
+        return true;
+    }
+
+    /**
+     * Copy a slot (including its save data) into a new slot
+     * @param {string} slotId - Slot ID to copy
+     * @returns {Promise<Object|null>} New slot record or null on failure
+     */
+    async duplicateSlot(slotId) {
+        const source = this.getSlot(slotId);
+        if (!source) return null;
+
+        const copyName = `${source.name} Copy`.slice(0, this.maxSlotNameLength);
+        const slot = this.buildSlot(this.slotIndex, copyName);
+
+        try {
+            const saveString = await this.storage.get(this.getSlotKey(slotId));
+            if (saveString) {
+                await this.storage.set(this.getSlotKey(slot.id), saveString);
+            }
+        } catch (error) {
+            console.error('Failed to duplicate slot:', error);
+            return null;
+        }
+
+        slot.meta = source.meta ? { ...source.meta } : null;
+        this.slotIndex.slots.push(slot);
+        await this.writeSlotIndex();
+        return slot;
+    }
+
+    /**
+     * Delete a slot and its save data. The last slot is emptied instead of removed.
+     * @param {string} slotId - Slot ID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteSlot(slotId) {
+        const slot = this.getSlot(slotId);
+        if (!slot) return false;
+
+        try {
+            await this.storage.remove(this.getSlotKey(slotId));
+            await this.storage.remove(this.getBackupKey(slotId));
+        } catch (error) {
+            console.error('Failed to delete slot save:', error);
+            return false;
+        }
+
+        if (this.slotIndex.slots.length === 1) {
+            slot.meta = null;
+        } else {
+            this.slotIndex.slots = this.slotIndex.slots.filter(s => s.id !== slotId);
+        }
+
+        if (!this.getSlot(this.slotIndex.activeSlotId)) {
+            this.slotIndex.activeSlotId = this.slotIndex.slots[0].id;
+            this.saveKey = this.getSlotKey(this.slotIndex.activeSlotId);
+        }
+
+        await this.writeSlotIndex();
+        return true;
+    }
+
+    /**
+     * Refresh the active slot's metadata after a save
+     * @param {Object} saveData - Save data just written
+     * @returns {Promise<void>}
+     */
+    async updateActiveSlotMeta(saveData) {
+        const slot = this.getActiveSlot();
+        if (!slot) return;
+
+        slot.meta = this.buildSlotMeta(saveData);
+        await this.writeSlotIndex();
+    }
+
+    // -------------------------------------------------------------------------
+    // SAVE / LOAD
+    // -------------------------------------------------------------------------
+
+    /**
+     * Stop (or resume) writing because another tab owns the save
+     * Blocks every storage write, not just saves: backups, slot edits, deletes and settings too.
+     * @param {boolean} readOnly - True while another tab owns the save
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.storage.readOnly = readOnly;
+    }
+
+    /**
+     * Save game state to storage
+     * @returns {Promise<boolean>} True if save successful
+     */
+    async save() {
+        if (this.readOnly) {
+            console.warn('Save skipped: another tab owns this save');
+            return false;
+        }
+
         try {
             const serializedState = this.state.serialize();
             console.log('Saving state:', {
                 currency: serializedState.currency,
                 upgrades: Object.keys(serializedState.upgrades).length,
                 workers: serializedState.workers.length,
-                currentCar: serializedState.currentCar?.id,
+                bays: serializedState.bays.map(car => car?.id ?? null),
                 carQueue: serializedState.carQueue.length
             });
 
-            const saveData = {
-                version: this.version,
-                timestamp: Date.now(),
-                state: serializedState
-            };
-
+            const saveData = this.buildSaveData(serializedState);
             const saveString = JSON.stringify(saveData);
-            localStorage.setItem(this.saveKey, saveString);
+            await this.storage.set(this.saveKey, saveString);
+            await this.updateActiveSlotMeta(saveData);
 
-            EventBus.emit(GameEvents.GAME_SAVED, { timestamp: saveData.timestamp });
+            EventBus.emit(GameEvents.GAME_SAVED, {
+                timestamp: saveData.timestamp,
+                slotId: this.slotIndex.activeSlotId
+            });
             console.log('Game saved successfully');
             return true;
         } catch (error) {
@@ -49,45 +382,96 @@ class SaveManager {
     }
 
     /**
-     * Load game state from localStorage
-     * @returns {Object|null} Offline progress info or null if no save
+     * Save synchronously while the page is closing or being hidden
+     * The browser may drop an async IndexedDB write at this point, so this keeps
+     * a localStorage copy that load() picks up until a normal save replaces it.
+     * The slot index gets one too, so the slot picker (and "Continue") sees it.
+     * @returns {boolean} True if the copy was written
      */
-    load() {
+    saveOnUnload() {
+        if (this.readOnly) {
+            return false;
+        }
+
         try {
-            const saveString = localStorage.getItem(this.saveKey);
-            if (!saveString) {
-                console.log('No save data found');
-                return null;
+            const saveData = this.buildSaveData();
+            if (!this.storage.setUnloadCopy(this.saveKey, JSON.stringify(saveData))) {
+                return false;
             }
 
-            console.log('Loading save data...');
-            const saveData = JSON.parse(saveString);
-            console.log('Parsed save data:', saveData);
+            const slot = this.getActiveSlot();
+            if (slot) {
+                slot.meta = this.buildSlotMeta(saveData);
+                this.storage.setUnloadCopy(this.slotIndexKey, JSON.stringify(this.slotIndex));
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to save on unload:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Wrap serialized state in a versioned, checksummed save record
+     * @param {Object} [serializedState] - Serialized state (defaults to the live state)
+     * @returns {Object} Save data ready to stringify
+     */
+    buildSaveData(serializedState = this.state.serialize()) {
+        return {
+            version: this.version,
+            timestamp: GameClock.now(),
+            savedAt: Clock.realNow(),
+            checksum: SaveIntegrity.checksumState(serializedState),
+            migrations: this.migrationHistory,
+            state: serializedState
+        };
+    }
 
-            // Validate save data structure
-            if (!saveData.state) {
-                console.error('Invalid save data: missing state object');
+    /**
+     * Load game state from storage
+     * @returns {Promise<Object|null>} Offline progress info or null if no save
+     */
+    async load() {
+        this.lastLoadRecovered = false;
+        try {
+            const saveString = await this.storage.get(this.saveKey);
+            if (!saveString) {
+                console.log('No save data found');
                 return null;
             }
 
-            // Version migration if needed
-            if (saveData.version < this.version) {
-                this.migrate(saveData);
+            console.log('Loading save data...');
+            let { saveData, problem, applied } = this.inspectSave(saveString);
+
+            if (problem) {
+                console.error('Save failed integrity check:', problem);
+                saveData = await this.recoverFromBackup(problem);
+                if (!saveData) {
+                    return null;
+                }
+                this.lastLoadRecovered = true;
             }
+            console.log('Parsed save data:', saveData);
+            this.migrationHistory = saveData.migrations;
 
             // Load state
             console.log('Deserializing state...');
             this.state.deserialize(saveData.state);
             console.log('State after deserialize:', {
-                currency: this.state.currency,
+                currency: this.state.currency.toString(),
                 upgrades: this.state.upgrades,
                 workers: this.state.workers.length,
-                currentCar: this.state.currentCar?.name,
+                bays: this.state.bays.map(bay => bay.car?.name ?? null),
                 carQueue: this.state.carQueue.length
             });
 
+            this.announceMigrations(applied);
+
+            // Deadlines were stored in the save's game time; keep the time they had left
+            this.state.shiftTimes(GameClock.getDrift() - this.getSaveDrift(saveData));
+
             // Calculate offline progress
-            const offlineProgress = this.calculateOfflineProgress(saveData.timestamp);
+            const offlineProgress = this.calculateOfflineProgress(saveData);
 
             EventBus.emit(GameEvents.GAME_LOADED, {
                 timestamp: saveData.timestamp,
@@ -105,100 +489,266 @@ class SaveManager {
 
     /**
      * Calculate offline progress while player was away
-     * @param {number} lastSaveTime - Timestamp of last save
+     * Measured on the wall clock: the save's game time may have run ahead of it.
+     * @param {Object} saveData - Save that was just loaded
      * @returns {Object} Offline progress info
      */
-    calculateOfflineProgress(lastSaveTime) {
-        const now = Date.now();
-        const offlineTime = now - lastSaveTime;
+    calculateOfflineProgress(saveData) {
+        if (!this.offlineProgressSystem) {
+            return { earnings: BigNum.ZERO, time: 0, carsRepaired: 0 };
+        }
 
-        // Cap at 8 hours
-        const maxOfflineTime = 8 * 60 * 60 * 1000;
-        const effectiveTime = Math.min(offlineTime, maxOfflineTime);
+        // The caller reports it (OFFLINE_EARNINGS) once contracts and achievements have caught up
+        const awayMs = saveData.savedAt
+            ? Clock.realNow() - saveData.savedAt
+            : GameClock.now() - saveData.timestamp;
+        return this.offlineProgressSystem.simulate(awayMs);
+    }
+
+    /**
+     * Show the player any messages from migrations applied to the save being loaded
+     * @param {Array<Object>} [applied=[]] - Applied steps from SaveMigrations.run()
+     */
+    announceMigrations(applied = []) {
+        applied.forEach((step) => {
+            if (step.message) {
+                EventBus.emit(GameEvents.NOTIFICATION, { message: step.message, type: 'success' });
+            }
+        });
+    }
 
-        // Only count if away for at least 1 minute
-        if (effectiveTime < 60000) {
-            return { earnings: 0, time: 0 };
+    /**
+     * Parse, verify and migrate a raw save string
+     * @param {string} saveString - Raw save JSON
+     * @returns {{saveData: Object|null, problem: string|null, applied: Array<Object>}} Migrated save (and the steps applied) or a description of what's wrong
+     */
+    inspectSave(saveString) {
+        let saveData;
+        try {
+            saveData = JSON.parse(saveString);
+        } catch (error) {
+            return { saveData: null, problem: 'the save data could not be read', applied: [] };
         }
 
-        // Calculate offline earnings at 50% efficiency
-        const offlineEfficiency = 0.5;
-        const autoRepairRate = this.state.autoRepairRate;
+        const { problem, applied } = this.prepareSaveData(saveData);
+        return problem ? { saveData: null, problem, applied: [] } : { saveData, problem: null, applied };
+    }
 
-        if (autoRepairRate <= 0) {
-            return { earnings: 0, time: effectiveTime };
+    /**
+     * Validate a parsed save and bring it up to the current version
+     * @param {Object} saveData - Parsed save data (modified in place)
+     * @returns {{problem: string|null, applied: Array<Object>}} Problem description (null if the save can be loaded) and the migration steps applied
+     */
+    prepareSaveData(saveData) {
+        // Validate save data structure
+        if (!saveData || !saveData.state) {
+            return { problem: 'missing state object', applied: [] };
         }
 
-        // Estimate cars repaired based on average car value and repair cost
-        const avgCarValue = 100; // Rough average
-        const avgRepairCost = 150; // Rough average
+        const saveVersion = SaveMigrations.getVersion(saveData);
+        if (saveVersion > this.version) {
+            return { problem: `save version ${saveVersion} is newer than this game (version ${this.version})`, applied: [] };
+        }
 
-        const totalRepair = autoRepairRate * (effectiveTime / 1000) * offlineEfficiency;
-        const carsRepaired = Math.floor(totalRepair / avgRepairCost);
-        const earnings = Math.floor(
-            carsRepaired *
-            avgCarValue *
-            this.state.getCarValueMultiplier() *
-            this.state.incomeMultiplier *
-            this.state.prestigeMultiplier
-        );
+        if (!SaveIntegrity.verifyChecksum(saveData)) {
+            return { problem: 'its checksum does not match', applied: [] };
+        }
 
-        // Apply earnings
-        if (earnings > 0) {
-            this.state.currency += earnings;
-            this.state.totalEarned += earnings;
-            this.state.lifetimeEarnings += earnings;
+        // The checksum covered the old state: re-stamp it so the migrated save verifies once written back
+        const applied = this.migrate(saveData);
+        if (applied.length > 0) {
+            saveData.checksum = SaveIntegrity.checksumState(saveData.state);
+        }
 
-            EventBus.emit(GameEvents.OFFLINE_EARNINGS, {
-                time: effectiveTime,
-                earnings,
-                carsRepaired
-            });
+        const errors = SaveIntegrity.validateState(saveData.state);
+        if (errors.length > 0) {
+            return { problem: errors.join(', '), applied };
         }
 
-        return {
-            earnings,
-            time: effectiveTime,
-            carsRepaired
-        };
+        return { problem: null, applied };
     }
 
+    // -------------------------------------------------------------------------
+    // BACKUPS
+    // -------------------------------------------------------------------------
+
     /**
-     * Migrate save data from older versions
-     * @param {Object} saveData - Old save data
+     * Get the storage key holding a slot's rolling backups
+     * @param {string} [slotId] - Slot ID (defaults to the active slot)
+     * @returns {string} Storage key
      */
-    migrate(saveData) {
-        console.log(`Migrating save from version ${saveData.version} to ${this.version}`);
+    getBackupKey(slotId = this.slotIndex.activeSlotId) {
+        return `${this.getSlotKey(slotId)}:backups`;
+    }
+
+    /**
+     * Read a slot's backups, newest first
+     * @param {string} [slotId] - Slot ID (defaults to the active slot)
+     * @returns {Promise<Array<Object>>} Backups { timestamp, reason, stats, data }
+     */
+    async readBackups(slotId) {
+        try {
+            const raw = await this.storage.get(this.getBackupKey(slotId));
+            const parsed = raw ? JSON.parse(raw) : [];
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.error('Failed to read save backups:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Add a known-good save string to the active slot's backups
+     * Auto-saves and snapshots are trimmed separately so a burst of
+     * auto-saves never pushes a pre-prestige snapshot out.
+     * @param {string} saveString - Raw save JSON
+     * @param {string} [reason='auto'] - auto | prestige | import | restore
+     * @returns {Promise<boolean>} True if the backup was kept
+     */
+    async pushBackup(saveString, reason = 'auto') {
+        const { saveData, problem } = this.inspectSave(saveString);
+        if (problem) {
+            console.warn('Not backing up damaged save:', problem);
+            return false;
+        }
+
+        try {
+            const backups = await this.readBackups();
+            backups.unshift({
+                timestamp: this.getSavedAt(saveData),
+                reason,
+                stats: this.buildSlotMeta(saveData),
+                data: saveString
+            });
+
+            let autoCount = 0;
+            let snapshotCount = 0;
+            const kept = backups.filter((backup) => {
+                if (backup.reason === 'auto') {
+                    return ++autoCount <= this.maxAutoBackups;
+                }
+                return ++snapshotCount <= this.maxSnapshots;
+            });
+
+            await this.storage.set(this.getBackupKey(), JSON.stringify(kept));
+            return true;
+        } catch (error) {
+            console.error('Failed to write save backup:', error);
+            return false;
+        }
+    }
 
-        // Migrate to progression system (if missing progression data)
-        if (!saveData.state.garageLevel) {
-            console.log('Migrating to progression system...');
+    /**
+     * Back up the live game state without touching the main save
+     * @param {string} reason - Why the snapshot was taken (prestige | import | restore)
+     * @returns {Promise<boolean>} True if the snapshot was kept
+     */
+    async snapshot(reason) {
+        try {
+            // Serialize before the first await: callers may reset state right after
+            const saveString = JSON.stringify(this.buildSaveData());
+            return await this.pushBackup(saveString, reason);
+        } catch (error) {
+            console.error('Failed to snapshot game:', error);
+            return false;
+        }
+    }
 
-            // Estimate level from cars repaired (conservative: 1 level per 10 cars)
-            const carsRepaired = saveData.state.carsRepaired || 0;
-            const estimatedLevel = Math.max(1, Math.floor(carsRepaired / 10));
+    /**
+     * Roll the active slot back to one of its backups
+     * The current progress is snapshotted first, so a restore can be undone.
+     * @param {number} index - Index into readBackups()
+     * @returns {Promise<Object|null>} Offline progress from load(), or null on failure
+     */
+    async restoreBackup(index) {
+        const backup = (await this.readBackups())[index];
+        if (!backup) return null;
 
-            // Calculate XP for estimated level
-            const estimatedXP = ProgressionSystem.XP_TABLE[estimatedLevel] || 0;
+        const { problem } = this.inspectSave(backup.data);
+        if (problem) {
+            console.error('Backup failed integrity check:', problem);
+            return null;
+        }
 
-            saveData.state.garageXP = estimatedXP;
-            saveData.state.garageLevel = estimatedLevel;
-            saveData.state.currentTier = Math.floor(estimatedLevel / 10) + 1;
+        try {
+            await this.snapshot('restore');
+
+            // Time spent sitting in the backup list doesn't count as offline time
+            const saveData = JSON.parse(backup.data);
+            const drift = this.getSaveDrift(saveData);
+            saveData.savedAt = Clock.realNow();
+            saveData.timestamp = saveData.savedAt + drift;
+            await this.storage.set(this.saveKey, JSON.stringify(saveData));
+            await this.updateActiveSlotMeta(saveData);
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            return null;
+        }
 
-            // Unlock all cars up to estimated level (be generous)
-            saveData.state.unlockedCars = ProgressionSystem.getUnlockedCarsForLevel(estimatedLevel);
+        return this.load();
+    }
 
-            console.log(`Save migrated: Level ${estimatedLevel}, Tier ${saveData.state.currentTier}, Unlocked ${saveData.state.unlockedCars.length} cars`);
+    /**
+     * Replace a damaged save with the newest backup that passes inspection
+     * @param {string} problem - Why the current save was rejected
+     * @returns {Promise<Object|null>} Migrated save data from the backup, or null if none usable
+     */
+    async recoverFromBackup(problem) {
+        const slotName = this.getActiveSlot().name;
+
+        for (const backup of await this.readBackups()) {
+            const { saveData, problem: backupProblem, applied } = this.inspectSave(backup.data);
+            if (backupProblem) continue;
+
+            try {
+                // Keep the damaged copy around for bug reports, then restore
+                await this.storage.set(`${this.saveKey}:damaged`, await this.storage.get(this.saveKey));
+                await this.storage.set(this.saveKey, backup.data);
+                await this.updateActiveSlotMeta(saveData);
+            } catch (error) {
+                console.error('Failed to restore backup:', error);
+            }
 
-            // Show notification to player
+            const savedAt = new Date(backup.timestamp).toLocaleTimeString();
+            console.warn(`Recovered "${slotName}" from backup saved at ${savedAt}`);
             EventBus.emit(GameEvents.NOTIFICATION, {
-                message: `Your garage has been upgraded to Level ${estimatedLevel}!`,
-                type: 'success'
+                message: `"${slotName}" save was damaged (${problem}). Restored the backup from ${savedAt}.`,
+                type: 'warning',
+                duration: 8000
             });
+            this.announceMigrations(applied);
+            return saveData;
         }
 
-        // Update version
-        saveData.version = this.version;
+        EventBus.emit(GameEvents.NOTIFICATION, {
+            message: `"${slotName}" save was damaged (${problem}) and no usable backup was found.`,
+            type: 'warning',
+            duration: 8000
+        });
+        return null;
+    }
+
+    /**
+     * Migrate save data from older versions through every pending step
+     * @param {Object} saveData - Old save data (modified in place)
+     * @returns {Array<Object>} Migration records applied
+     */
+    migrate(saveData) {
+        const fromVersion = SaveMigrations.getVersion(saveData);
+        const applied = SaveMigrations.run(saveData);
+
+        if (applied.length > 0) {
+            console.log(`Migrated save from version ${fromVersion} to ${saveData.version}`);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Forget migration history (a new game starts a fresh save lineage)
+     */
+    clearMigrationHistory() {
+        this.migrationHistory = [];
     }
 
     /**
@@ -206,8 +756,14 @@ class SaveManager {
      */
     startAutoSave() {
         this.stopAutoSave();
-        this.autoSaveTimer = setInterval(() => {
-            this.save();
+        this.autoSaveTimer = setInterval(async () => {
+            // A hidden tab isn't simulating; saving now would stamp the save with time that
+            // hasn't been played yet. The tab saves when hidden and catches up when shown/closed.
+            if (typeof document !== 'undefined' && document.hidden) return;
+
+            if (await this.save()) {
+                await this.pushBackup(await this.storage.get(this.saveKey), 'auto');
+            }
         }, this.autoSaveInterval);
         console.log('Auto-save started');
     }
@@ -223,15 +779,15 @@ class SaveManager {
     }
 
     /**
-     * Export save as Base64 string
-     * @returns {string} Base64 encoded save
+     * Export save as a compact, checksummed string (see SaveCodec)
+     * @returns {Promise<string>} Encoded save
      */
-    exportSave() {
-        const saveString = localStorage.getItem(this.saveKey);
-        if (!saveString) return '';
-
+    async exportSave() {
         try {
-            return btoa(saveString);
+            const saveString = await this.storage.get(this.saveKey);
+            if (!saveString) return '';
+
+            return await SaveCodec.encode(saveString);
         } catch (error) {
             console.error('Failed to export save:', error);
             return '';
@@ -239,29 +795,67 @@ class SaveManager {
     }
 
     /**
-     * Import save from Base64 string
-     * @param {string} base64String - Base64 encoded save
-     * @returns {boolean} True if import successful
+     * Decode and validate an export string without touching the current save
+     * @param {string} exportString - Encoded save
+     * @returns {Promise<{saveData: Object|null, meta: Object|null, problem: string|null, applied: Array<Object>}>} Parsed save, its summary and the migrations applied, or what's wrong
      */
-    importSave(base64String) {
+    async readImport(exportString) {
+        let saveString;
         try {
-            const saveString = atob(base64String);
-            JSON.parse(saveString); // Validate JSON
-            localStorage.setItem(this.saveKey, saveString);
-            return this.load() !== null;
+            saveString = await SaveCodec.decode(exportString);
+        } catch (error) {
+            return { saveData: null, meta: null, problem: error.message, applied: [] };
+        }
+
+        const { saveData, problem, applied } = this.inspectSave(saveString);
+        return { saveData, meta: this.buildSlotMeta(saveData), problem, applied };
+    }
+
+    /**
+     * Import save from an export string (current format or legacy Base64)
+     * @param {string} exportString - Encoded save
+     * @returns {Promise<Object|null>} Offline progress info (like load()), or null if the import failed
+     */
+    async importSave(exportString) {
+        try {
+            const { saveData, problem, applied } = await this.readImport(exportString);
+            if (problem) {
+                console.error('Rejected imported save:', problem);
+                return null;
+            }
+
+            await this.snapshot('import');
+            await this.storage.set(this.saveKey, JSON.stringify(saveData));
+            await this.updateActiveSlotMeta(saveData);
+
+            const offlineProgress = await this.load();
+            if (this.lastLoadRecovered) {
+                // load() rolled back to an older backup instead of the imported save
+                console.error('Imported save could not be loaded back');
+                return null;
+            }
+            // The save was stored already migrated, so load() had nothing to announce
+            this.announceMigrations(applied);
+            return offlineProgress;
         } catch (error) {
             console.error('Failed to import save:', error);
-            return false;
+            return null;
         }
     }
 
     /**
-     * Delete save data
-     * @returns {boolean} True if delete successful
+     * Delete the active slot's save data (the slot itself is kept)
+     * @returns {Promise<boolean>} True if delete successful
      */
-    deleteSave() {
+    async deleteSave() {
         try {
-            localStorage.removeItem(this.saveKey);
+            await this.storage.remove(this.saveKey);
+            await this.storage.remove(this.getBackupKey());
+            const slot = this.getActiveSlot();
+            if (slot) {
+                slot.meta = null;
+                await this.writeSlotIndex();
+            }
             console.log('Save deleted');
             return true;
         } catch (error) {
@@ -270,11 +864,35 @@ class SaveManager {
         }
     }
 
+    /**
+     * Delete every slot and start over with a single empty slot
+     * @returns {Promise<boolean>} True if delete successful
+     */
+    async deleteAllSaves() {
+        try {
+            for (const slot of this.slotIndex.slots) {
+                await this.storage.remove(this.getSlotKey(slot.id));
+                await this.storage.remove(this.getBackupKey(slot.id));
+            }
+            await this.storage.remove(this.slotIndexKey);
+            this.slotIndex = await this.readSlotIndex();
+            this.saveKey = this.getSlotKey(this.slotIndex.activeSlotId);
+            console.log('All saves deleted');
+            return true;
+        } catch (error) {
+            console.error('Failed to delete saves:', error);
+            return false;
+        }
+    }
+
     /**
      * Check if save exists
+     * @param {string} [slotId] - Slot to check (defaults to the active slot)
      * @returns {boolean} True if save exists
      */
-    hasSave() {
-        return localStorage.getItem(this.saveKey) !== null;
+    hasSave(slotId = this.slotIndex.activeSlotId) {
+        // Slot metadata is written alongside every save, so it mirrors storage
+        const slot = this.getSlot(slotId);
+        return Boolean(slot && slot.meta);
     }
 }
@@ -0,0 +1,176 @@
+/**
+ * SaveMigrations - Ordered chain of save format upgrades
+ * Each step upgrades a raw save from `version - 1` to `version` and only fills
+ * in what is missing, so saves written mid-version pass through unchanged.
+ * A step may return a message for the player; it is only shown if the save
+ * is actually loaded (migrations also run when previewing imports and backups).
+ */
+const SaveMigrations = {
+    steps: [
+        {
+            version: 2,
+            description: 'Garage progression (XP, levels, tiers, car unlocks)',
+            migrate(saveData) {
+                const state = saveData.state;
+                if (state.garageLevel) return;
+
+                // Estimate level from cars repaired (conservative: 1 level per 10 cars)
+                const carsRepaired = state.carsRepaired || 0;
+                const estimatedLevel = Math.max(1, Math.floor(carsRepaired / 10));
+
+                state.garageXP = ProgressionSystem.XP_TABLE[estimatedLevel] || 0;
+                state.garageLevel = estimatedLevel;
+                state.currentTier = Math.floor(estimatedLevel / 10) + 1;
+
+                // Unlock all cars up to estimated level (be generous)
+                state.unlockedCars = ProgressionSystem.getUnlockedCarsForLevel(estimatedLevel);
+
+                return `Your garage has been upgraded to Level ${estimatedLevel}!`;
+            }
+        },
+        {
+            version: 3,
+            description: 'Job board contracts',
+            migrate(saveData) {
+                const state = saveData.state;
+
+                if (!Array.isArray(state.jobContracts)) state.jobContracts = [];
+                if (state.activeJobContract === undefined) state.activeJobContract = null;
+                if (typeof state.contractsCompleted !== 'number') state.contractsCompleted = 0;
+                if (typeof state.contractsFailed !== 'number') state.contractsFailed = 0;
+
+                const cars = [state.currentCar, ...(state.carQueue || [])].filter(Boolean);
+                cars.forEach((car) => {
+                    if (car.contractMeta === undefined) car.contractMeta = null;
+                });
+            }
+        },
+        {
+            version: 4,
+            description: 'Nip upgrades and lifetime prestige totals',
+            migrate(saveData) {
+                const state = saveData.state;
+
+                if (!state.nipUpgrades || typeof state.nipUpgrades !== 'object') state.nipUpgrades = {};
+                if (typeof state.prestigeCurrency !== 'number') state.prestigeCurrency = 0;
+
+                // Before the Nip shop, unspent Nip was all the Nip ever earned
+                if (typeof state.totalPrestigeEarned !== 'number') {
+                    state.totalPrestigeEarned = state.prestigeCurrency;
+                }
+                if (typeof state.lifetimeEarnings !== 'number') {
+                    state.lifetimeEarnings = state.totalEarned || 0;
+                }
+            }
+        },
+        {
+            version: 5,
+            description: 'Big-number currency',
+            migrate(saveData) {
+                const state = saveData.state;
+
+                if (state.lifetimeEarnings === undefined || state.lifetimeEarnings === null) {
+                    state.lifetimeEarnings = state.totalEarned;
+                }
+
+                // Money amounts are now stored as digit strings (see BigNum)
+                ['currency', 'totalEarned', 'totalSpent', 'lifetimeEarnings'].forEach((field) => {
+                    if (!BigNum.isSerialized(state[field])) {
+                        state[field] = BigNum.from(state[field]).toString();
+                    }
+                });
+            }
+        },
+        {
+            version: 6,
+            description: 'Service bays',
+            migrate(saveData) {
+                const state = saveData.state;
+                if (Array.isArray(state.bays)) return;
+
+                // The single lift becomes bay 1
+                state.bays = [state.currentCar || null];
+                delete state.currentCar;
+            }
+        },
+        {
+            version: 7,
+            description: 'Worker experience',
+            migrate(saveData) {
+                const workers = saveData.state.workers || [];
+
+                // Credit work done so far: 1 XP per second of base-rate work
+                workers.forEach((worker) => {
+                    if (typeof worker.xp === 'number') return;
+                    const workerDef = WorkerData[worker.id] || WorkerData.juniorMaid;
+                    worker.xp = (worker.totalRepairs || 0) / workerDef.repairRate;
+                });
+            }
+        },
+        {
+            version: 8,
+            description: 'Named cat-maids with traits',
+            migrate(saveData) {
+                const workers = saveData.state.workers || [];
+
+                // Roll what a hire would have rolled, seeded by the worker so it's the same on every load
+                workers.forEach((worker, index) => {
+                    if (worker.name && Array.isArray(worker.traits)) return;
+                    const rng = new RandomStream((worker.hiredAt || 0) + index);
+                    worker.name = rollWorkerName(rng);
+                    worker.traits = rollWorkerTraits(rng);
+                });
+            }
+        }
+    ],
+
+    /**
+     * Get the save format version produced by the current code
+     * @returns {number} Latest version
+     */
+    getLatestVersion() {
+        return this.steps[this.steps.length - 1].version;
+    },
+
+    /**
+     * Get the version a raw save was written with
+     * @param {Object} saveData - Raw save data
+     * @returns {number} Save version (saves without one are version 1)
+     */
+    getVersion(saveData) {
+        return Number.isInteger(saveData.version) && saveData.version > 0 ? saveData.version : 1;
+    },
+
+    /**
+     * Upgrade a raw save in place to the latest version
+     * @param {Object} saveData - Raw save data with a state object
+     * @returns {Array<Object>} Steps applied, in order ({ from, to, at, message? })
+     */
+    run(saveData) {
+        const fromVersion = this.getVersion(saveData);
+        const applied = [];
+
+        if (!Array.isArray(saveData.migrations)) {
+            saveData.migrations = [];
+        }
+
+        for (const step of this.steps) {
+            if (step.version <= fromVersion) continue;
+
+            console.log(`Migrating save to version ${step.version}: ${step.description}`);
+            const message = step.migrate(saveData);
+
+            const record = {
+                from: step.version - 1,
+                to: step.version,
+                at: GameClock.now()
+            };
+            saveData.migrations.push(record);
+            saveData.version = step.version;
+            // The message is for this load only, not the stored history
+            applied.push(message ? { ...record, message } : record);
+        }
+
+        return applied;
+    }
+};
@@ -0,0 +1,158 @@
+/**
+ * TabLock - Makes sure only one browser tab owns (and writes) the save
+ *
+ * Ownership is an exclusive Web Lock, so it's released automatically when the
+ * owning tab closes or crashes. Take-over requests go over a BroadcastChannel:
+ * the owner flushes its save and lets go, and only if it doesn't answer in
+ * time is the lock stolen. Browsers without Web Locks run unprotected.
+ */
+class TabLock {
+    /**
+     * Create tab lock
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onReleaseRequested - Async; flush and pause before another tab takes over
+     * @param {Function} callbacks.onLost - Called if the lock was taken without a clean hand-off
+     * @param {string} [name='gato-garage-owner'] - Lock and channel name
+     */
+    constructor({ onReleaseRequested, onLost }, name = 'gato-garage-owner') {
+        this.name = name;
+        this.onReleaseRequested = onReleaseRequested;
+        this.onLost = onLost;
+        this.handOffTimeout = 3000; // How long the owner gets to flush before the lock is stolen
+
+        this.isOwner = false;
+        this.releaseLock = null; // Resolves the promise that keeps the lock held
+        this.releasing = false;
+
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(name)
+            : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        }
+    }
+
+    /**
+     * Check whether this browser can coordinate tabs
+     * @returns {boolean} True if Web Locks are available
+     */
+    isSupported() {
+        return typeof navigator !== 'undefined' && Boolean(navigator.locks);
+    }
+
+    /**
+     * Try to become the owner without waiting
+     * @returns {Promise<boolean>} True if this tab now owns the save
+     */
+    acquire() {
+        if (!this.isSupported()) {
+            console.warn('Web Locks unavailable; multiple tabs can overwrite each other\'s saves');
+            this.isOwner = true;
+            return Promise.resolve(true);
+        }
+
+        return this.request({ ifAvailable: true });
+    }
+
+    /**
+     * Ask the owning tab to hand over, stealing the lock if it doesn't respond
+     * @returns {Promise<boolean>} True if this tab now owns the save
+     */
+    async takeOver() {
+        if (!this.isSupported()) return this.acquire();
+        if (this.isOwner) return true;
+
+        if (this.channel) {
+            this.channel.postMessage({ type: 'release-request' });
+        }
+
+        // Wait for a clean hand-off first
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.handOffTimeout);
+        try {
+            if (await this.request({ signal: controller.signal })) {
+                return true;
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        console.warn('Owning tab did not release the save in time; taking it over');
+        return this.request({ steal: true });
+    }
+
+    /**
+     * Request the lock and hold it until release() or until it's stolen
+     * @param {Object} options - navigator.locks.request options
+     * @returns {Promise<boolean>} Resolves once the request is granted (true) or refused (false)
+     */
+    request(options) {
+        return new Promise((resolve, reject) => {
+            navigator.locks.request(this.name, options, (lock) => {
+                if (!lock) {
+                    resolve(false);
+                    return null;
+                }
+
+                this.isOwner = true;
+                this.releasing = false;
+                resolve(true);
+
+                // Holding this promise open is what keeps the lock
+                return new Promise((release) => {
+                    this.releaseLock = release;
+                });
+            }).catch((error) => {
+                // Our held lock was stolen by another tab
+                if (error.name === 'AbortError' && this.isOwner) {
+                    this.handleLost();
+                    return;
+                }
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Give up ownership
+     */
+    release() {
+        this.isOwner = false;
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+    }
+
+    /**
+     * Handle a message from another tab
+     * @param {Object} message - Channel message
+     */
+    async handleMessage(message) {
+        if (!message || message.type !== 'release-request') return;
+        if (!this.isOwner || this.releasing) return;
+
+        this.releasing = true;
+        try {
+            if (this.onReleaseRequested) {
+                await this.onReleaseRequested();
+            }
+        } catch (error) {
+            console.error('Failed to flush before handing off the save:', error);
+        }
+        this.release();
+    }
+
+    /**
+     * Ownership was lost without a hand-off (lock stolen)
+     */
+    handleLost() {
+        this.isOwner = false;
+        this.releaseLock = null;
+        if (this.onLost) {
+            this.onLost();
+        }
+    }
+}
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * balance-report - Balance curves for the current data files under a player strategy
+ *
+ * Usage:
+ *   node tools/balance-report.js [--hours 48] [--policy active|casual|idle|./my-policy.js]
+ *                                [--seed 1] [--sample-minutes 15] [--tick-ms 250]
+ *                                [--out balance-report] [--compare old-report.json]
+ *
+ * Writes <out>.json and a self-contained <out>.html with charts. Pass the JSON
+ * from before a data change as --compare to overlay it and show the deltas.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createGameContext } = require('./headless/loadGame');
+const { estimateIncomePerSecond } = require('./headless/economy');
+const { renderReportHTML } = require('./headless/reportHtml');
+const { loadPolicy } = require('./simulate');
+
+const DEFAULTS = {
+    hours: 48,
+    policy: 'active',
+    seed: 1,
+    'sample-minutes': 15,
+    'tick-ms': 250,
+    out: 'balance-report',
+    compare: null
+};
+
+/**
+ * Parse --key value pairs
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options merged over DEFAULTS
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (argv[i] === '--help' || argv[i] === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!(key in DEFAULTS)) {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${key}`);
+        }
+        options[key] = typeof DEFAULTS[key] === 'number' ? Number(value) : value;
+    }
+
+    return options;
+}
+
+/**
+ * Short hash of the balance data, so reports show whether the data changed
+ * @param {Object} data - Game context
+ * @returns {string} Fingerprint
+ */
+function fingerprintData(data) {
+    const source = JSON.stringify([
+        data.UpgradeData,
+        data.WorkerData,
+        data.WorkerLevelData,
+        data.WorkerTraitData,
+        data.CarData,
+        data.NipUpgradeData,
+        data.ProgressionSystem.XP_TABLE,
+        data.ProgressionSystem.CAR_UNLOCKS
+    ]);
+    return crypto.createHash('sha1').update(source).digest('hex').slice(0, 10);
+}
+
+/**
+ * Run the strategy and collect everything the report needs
+ * @param {Object} options - Parsed options
+ * @returns {Object} Report
+ */
+function buildReport(options) {
+    const data = createGameContext();
+    const game = new data.HeadlessGame({ seed: options.seed, tickMs: options['tick-ms'] });
+    const policy = loadPolicy(options.policy);
+    const clickRate = () => (policy.clickRate ? policy.clickRate(game) : 0);
+    const income = () => estimateIncomePerSecond(game, data, clickRate());
+
+    const levelReachedAt = {};
+    const firstPurchase = {}; // "upgrade:wrench:3" -> purchase record (first run only)
+    let prestigeReadyAt = null;
+    let firstPrestigeAt = null;
+
+    data.EventBus.on(data.GameEvents.LEVEL_UP, ({ newLevel }) => {
+        for (let level = 2; level <= newLevel; level++) {
+            if (levelReachedAt[level] === undefined) {
+                levelReachedAt[level] = game.elapsedMs;
+            }
+        }
+    });
+
+    // Price each purchase by the modelled income it adds
+    const recordPurchases = (methodName, kind, levelOf) => {
+        const original = game[methodName].bind(game);
+        game[methodName] = (id) => {
+            const level = levelOf(id) + 1;
+            const before = income();
+            const cost = (kind === 'upgrade'
+                ? game.upgradeSystem.getCost(id)
+                : game.workerSystem.getCost(id)).toNumber();
+            const bought = original(id);
+            const key = `${kind}:${id}:${level}`;
+
+            if (bought && !firstPurchase[key]) {
+                const after = income();
+                const gain = after - before;
+                firstPurchase[key] = {
+                    boughtAtMs: game.elapsedMs,
+                    incomeBefore: before,
+                    incomeAfter: after,
+                    paybackSec: gain > 0 ? cost / gain : null
+                };
+            }
+            return bought;
+        };
+    };
+    recordPurchases('buyUpgrade', 'upgrade', id => game.state.getUpgradeLevel(id));
+    recordPurchases('hireWorker', 'worker', id => game.state.getWorkerCount(id));
+
+    const originalPrestige = game.prestige.bind(game);
+    game.prestige = () => {
+        // Policies may reach 1 Nip and ascend within the same decision
+        if (prestigeReadyAt === null && game.prestigeSystem.calculateClaimableNip() >= 1) {
+            prestigeReadyAt = game.elapsedMs;
+        }
+        const ascended = originalPrestige();
+        if (ascended && firstPrestigeAt === null) {
+            firstPrestigeAt = game.elapsedMs;
+        }
+        return ascended;
+    };
+
+    const trackedPolicy = {
+        act(g, intervalMs) {
+            if (prestigeReadyAt === null && g.prestigeSystem.calculateClaimableNip() >= 1) {
+                prestigeReadyAt = g.elapsedMs;
+            }
+            policy.act(g, intervalMs);
+        }
+    };
+
+    const timeline = game.run(options.hours * 60 * 60 * 1000, {
+        policy: trackedPolicy,
+        sampleIntervalMs: options['sample-minutes'] * 60 * 1000
+    }).map(entry => ({ ...entry }));
+
+    // Measured income between samples (includes clicks, bonuses and contracts)
+    timeline.forEach((entry, index) => {
+        const previous = timeline[index - 1];
+        entry.incomePerSecond = previous
+            ? (entry.lifetimeEarnings - previous.lifetimeEarnings) / ((entry.timeMs - previous.timeMs) / 1000)
+            : 0;
+    });
+
+    const maxLevelReached = Math.max(1, ...Object.keys(levelReachedAt).map(Number));
+    const xpTable = data.ProgressionSystem.XP_TABLE;
+    const levels = [];
+    for (let level = 2; level <= Math.min(xpTable.length, maxLevelReached + 5); level++) {
+        levels.push({
+            level,
+            xpRequired: xpTable[level - 1],
+            xpForLevel: xpTable[level - 1] - xpTable[level - 2],
+            reachedAtMs: levelReachedAt[level] ?? null
+        });
+    }
+
+    const upgrades = [];
+    for (const upgrade of data.getUpgradeList()) {
+        let cumulativeCost = 0;
+        for (let level = 1; level <= upgrade.maxLevel; level++) {
+            const cost = data.calculateUpgradeCost(upgrade, level - 1).toNumber();
+            cumulativeCost += cost;
+            upgrades.push({
+                id: upgrade.id,
+                name: upgrade.name,
+                level,
+                cost,
+                cumulativeCost,
+                effect: `${upgrade.effect.type} +${upgrade.effect.value}`,
+                ...purchaseFields(firstPurchase[`upgrade:${upgrade.id}:${level}`])
+            });
+        }
+    }
+
+    const workers = [];
+    for (const worker of data.getWorkerList()) {
+        const hiredInRun = Object.keys(firstPurchase)
+            .filter(key => key.startsWith(`worker:${worker.id}:`)).length;
+        let cumulativeCost = 0;
+        for (let hire = 1; hire <= Math.max(10, hiredInRun + 5); hire++) {
+            const cost = data.calculateWorkerCost(worker, hire - 1).toNumber();
+            cumulativeCost += cost;
+            workers.push({
+                id: worker.id,
+                name: worker.name,
+                hire,
+                cost,
+                cumulativeCost,
+                repairRate: worker.repairRate,
+                costPerRepairRate: cost / worker.repairRate,
+                ...purchaseFields(firstPurchase[`worker:${worker.id}:${hire}`])
+            });
+        }
+    }
+
+    const last = timeline[timeline.length - 1];
+    return {
+        generatedAt: new Date().toISOString(),
+        dataFingerprint: fingerprintData(data),
+        policy: policy.name,
+        seed: options.seed,
+        hours: options.hours,
+        summary: {
+            timeToPrestigeReadyMs: prestigeReadyAt,
+            timeToFirstPrestigeMs: firstPrestigeAt,
+            maxLevelReached,
+            finalLevel: last.level,
+            prestiges: last.prestiges,
+            totalNip: last.totalNip,
+            lifetimeEarnings: last.lifetimeEarnings,
+            carsRepaired: last.carsRepaired
+        },
+        levels,
+        upgrades,
+        workers,
+        timeline
+    };
+}
+
+/**
+ * Purchase columns for a table row
+ * @param {Object|undefined} purchase - First-purchase record
+ * @returns {Object} Row fields (nulls when never bought)
+ */
+function purchaseFields(purchase) {
+    return {
+        boughtAtMs: purchase ? purchase.boughtAtMs : null,
+        incomeGainPerSecond: purchase ? purchase.incomeAfter - purchase.incomeBefore : null,
+        paybackSec: purchase ? purchase.paybackSec : null
+    };
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        const usage = fs.readFileSync(__filename, 'utf8').split('\n').slice(2, 11);
+        console.log(usage.map(line => line.replace(/^ \* ?/, '')).join('\n'));
+        return;
+    }
+
+    const baseline = options.compare
+        ? JSON.parse(fs.readFileSync(options.compare, 'utf8'))
+        : null;
+
+    const report = buildReport(options);
+    const jsonPath = `${options.out}.json`;
+    const htmlPath = `${options.out}.html`;
+
+    fs.mkdirSync(path.dirname(path.resolve(jsonPath)), { recursive: true });
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+    fs.writeFileSync(htmlPath, renderReportHTML(report, baseline));
+    console.error(`Wrote ${jsonPath} and ${htmlPath}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildReport };
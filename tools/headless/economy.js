@@ -0,0 +1,51 @@
+/**
+ * economy - Steady-state income estimate for a HeadlessGame
+ * Used by the balance report to price the benefit of each purchase. It's a
+ * model, not a measurement: it assumes the spawn pool's average car, ignores
+ * click payout bonuses and contracts, and caps throughput at the spawn rate.
+ */
+
+/**
+ * Average repair cost and value of the next car, weighted like getRandomCar
+ * @param {HeadlessGame} game - Game to inspect
+ * @param {Object} data - Game context (for CarData)
+ * @returns {Object} { cost, value } at the current tier
+ */
+function averageCar(game, data) {
+    const unlocked = game.state.unlockedCars;
+    const pool = Object.values(data.CarData).filter(car => unlocked.includes(car.id));
+    const totalWeight = pool.reduce((sum, car) => sum + car.weight, 0) || 1;
+    const tierScale = 1 + (Math.max(1, game.state.currentTier) - 1) * 0.5;
+
+    return {
+        cost: tierScale * pool.reduce((sum, car) => sum + car.repairCost * car.weight, 0) / totalWeight,
+        value: tierScale * pool.reduce((sum, car) => sum + car.baseValue * car.weight, 0) / totalWeight
+    };
+}
+
+/**
+ * Estimate income per second
+ * @param {HeadlessGame} game - Game to inspect
+ * @param {Object} data - Game context (for CarData)
+ * @param {number} clicksPerSecond - Player click rate
+ * @returns {number} Money per second
+ */
+function estimateIncomePerSecond(game, data, clicksPerSecond) {
+    const state = game.state;
+    const car = averageCar(game, data);
+    if (car.cost <= 0) return 0;
+
+    // Batched clicks build combo within a burst; assume it averages halfway to max
+    const combo = clicksPerSecond > 1 ? (1 + game.clickSystem.getMaxCombo()) / 2 : 1;
+    const repairPerSecond = clicksPerSecond * state.clickPower * combo + state.autoRepairRate;
+
+    const spawnLimit = 1000 / game.carQueueSystem.getSpawnInterval();
+    const carsPerSecond = Math.min(repairPerSecond / car.cost, spawnLimit);
+
+    return carsPerSecond * car.value *
+        state.getCarValueMultiplier() *
+        state.incomeMultiplier *
+        state.prestigeMultiplier;
+}
+
+module.exports = { averageCar, estimateIncomePerSecond };
@@ -0,0 +1,103 @@
+/**
+ * loadGame - Loads the browser game scripts into a Node VM context
+ * The game is written as plain browser globals, so instead of a bundler we
+ * evaluate the DOM-free scripts in order inside a fresh context, the same way
+ * index.html does. Each context has its own EventBus and GameClock, so
+ * separate runs never share listeners or time.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Load order mirrors index.html, minus rendering, UI, audio and storage
+const SCRIPTS = [
+    'js/utils/EventBus.js',
+    'js/utils/GameClock.js',
+    'js/utils/RandomService.js',
+    'js/utils/BigNum.js',
+    'js/utils/NumberFormatter.js',
+    'js/utils/BayLayout.js',
+    'js/data/upgrades.js',
+    'js/data/workers.js',
+    'js/data/workerTraits.js',
+    'js/data/cars.js',
+    'js/data/achievements.js',
+    'js/data/nipUpgrades.js',
+    'js/entities/Car.js',
+    'js/entities/Worker.js',
+    'js/game/GameState.js',
+    'js/systems/ProgressionSystem.js',
+    'js/systems/RepairCompletionService.js',
+    'js/systems/ClickSystem.js',
+    'js/systems/UpgradeSystem.js',
+    'js/systems/WorkerSystem.js',
+    'js/systems/CarQueueSystem.js',
+    'js/systems/AchievementSystem.js',
+    'js/systems/PrestigeSystem.js',
+    'js/systems/NipShopSystem.js',
+    'js/systems/JobBoardSystem.js',
+    'js/game/HeadlessGame.js'
+];
+
+// Globals copied onto the context so Node code can reach them
+const EXPORTS = [
+    'HeadlessGame',
+    'BigNum',
+    'GameClock',
+    'EventBus',
+    'GameEvents',
+    'ProgressionSystem',
+    'UpgradeData',
+    'WorkerData',
+    'WorkerLevelData',
+    'WorkerTraitData',
+    'CarData',
+    'NipUpgradeData',
+    'getUpgradeList',
+    'getWorkerList',
+    'calculateUpgradeCost',
+    'calculateWorkerCost'
+];
+
+/**
+ * Create a fresh context with the game scripts loaded
+ * @param {Object} [options]
+ * @param {boolean} [options.verbose=false] - Pass the game's console.log output through
+ * @returns {Object} VM context exposing the game's globals
+ */
+function createGameContext({ verbose = false } = {}) {
+    const quiet = () => {};
+    const context = vm.createContext({
+        console: {
+            log: verbose ? console.log : quiet,
+            info: verbose ? console.info : quiet,
+            warn: console.warn,
+            error: console.error
+        },
+        crypto: require('crypto').webcrypto
+    });
+
+    for (const script of SCRIPTS) {
+        const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        vm.runInContext(source, context, { filename: script });
+    }
+
+    // Top-level class/const declarations aren't context properties; expose what tools need
+    vm.runInContext(EXPORTS.map(name => `this.${name} = ${name};`).join('\n'), context);
+    return context;
+}
+
+/**
+ * Create a headless game in its own context
+ * @param {Object} [options] - HeadlessGame options plus `verbose`
+ * @returns {Object} HeadlessGame instance
+ */
+function createHeadlessGame(options = {}) {
+    const { verbose, ...gameOptions } = options;
+    const context = createGameContext({ verbose });
+    return new context.HeadlessGame(gameOptions);
+}
+
+module.exports = { createGameContext, createHeadlessGame, SCRIPTS, EXPORTS };
@@ -0,0 +1,122 @@
+/**
+ * Scripted player policies for HeadlessGame
+ * A policy is any object with act(game, intervalMs); these are the built-ins.
+ * Custom policies can be passed to tools/simulate.js as a module path.
+ */
+
+/**
+ * Buy the cheapest affordable shop upgrade or worker until nothing is affordable
+ * @param {HeadlessGame} game - Game to act on
+ * @param {number} [maxPurchases=50] - Safety limit per call
+ */
+function buyCheapest(game, maxPurchases = 50) {
+    for (let i = 0; i < maxPurchases; i++) {
+        const options = [
+            ...game.upgradeSystem.getAllUpgradeInfo()
+                .filter(info => info.canPurchase)
+                .map(info => ({ cost: info.cost, buy: () => game.buyUpgrade(info.id) })),
+            ...game.workerSystem.getAllWorkerInfo()
+                .filter(info => info.canHire)
+                .map(info => ({ cost: info.cost, buy: () => game.hireWorker(info.id) }))
+        ];
+
+        if (options.length === 0) return;
+
+        options.sort((a, b) => a.cost.cmp(b.cost));
+        if (!options[0].buy()) return;
+    }
+}
+
+/**
+ * Spend Nip on the cheapest Nip upgrades
+ * @param {HeadlessGame} game - Game to act on
+ */
+function buyNipUpgrades(game) {
+    for (;;) {
+        const affordable = game.nipShopSystem.getAllUpgradeInfo()
+            .filter(info => info.canPurchase)
+            .sort((a, b) => a.cost - b.cost);
+
+        if (affordable.length === 0 || !game.buyNipUpgrade(affordable[0].id)) return;
+    }
+}
+
+/**
+ * Take the best-paying contract when none is active
+ * @param {HeadlessGame} game - Game to act on
+ */
+function takeBestContract(game) {
+    if (game.state.activeJobContract) return;
+
+    const best = [...game.state.jobContracts]
+        .sort((a, b) => b.payoutMultiplier - a.payoutMultiplier)[0];
+    if (best) {
+        game.acceptContract(best.id);
+    }
+}
+
+/**
+ * Build a policy from a few knobs
+ * @param {Object} options
+ * @param {string} options.name - Policy name (reported in the output)
+ * @param {number} [options.clicksPerSecond=0] - Click rate while clicking
+ * @param {boolean} [options.stopClickingWithWorkers=false] - Go idle once a worker is hired
+ * @param {boolean} [options.takeContracts=false] - Accept job board contracts
+ * @param {number} [options.ascendRatio=0.5] - Ascend when claimable Nip >= this share of lifetime Nip (min 1)
+ * @returns {Object} Policy
+ */
+function createPolicy({
+    name,
+    clicksPerSecond = 0,
+    stopClickingWithWorkers = false,
+    takeContracts = false,
+    ascendRatio = 0.5
+}) {
+    let clickDebt = 0; // Carries fractional clicks between decisions
+
+    const isClicking = game => !(stopClickingWithWorkers && game.state.workers.length > 0);
+
+    return {
+        name,
+
+        /**
+         * Current click rate, for income estimates
+         * @param {HeadlessGame} game - Game being played
+         * @returns {number} Clicks per second
+         */
+        clickRate(game) {
+            return isClicking(game) ? clicksPerSecond : 0;
+        },
+
+        act(game, intervalMs) {
+            if (isClicking(game) && clicksPerSecond > 0) {
+                clickDebt += clicksPerSecond * (intervalMs / 1000);
+                const clicks = Math.floor(clickDebt);
+                clickDebt -= clicks;
+                game.click(clicks);
+            }
+
+            if (takeContracts) {
+                takeBestContract(game);
+            }
+
+            buyCheapest(game);
+
+            const claimable = game.prestigeSystem.calculateClaimableNip();
+            if (claimable >= Math.max(1, game.state.totalPrestigeEarned * ascendRatio) && game.prestige()) {
+                buyNipUpgrades(game);
+            }
+        }
+    };
+}
+
+const POLICIES = {
+    // Clicks steadily, chases contracts, buys everything
+    active: () => createPolicy({ name: 'active', clicksPerSecond: 6, takeContracts: true }),
+    // Checks in now and then: slow clicking, no contracts
+    casual: () => createPolicy({ name: 'casual', clicksPerSecond: 1 }),
+    // Clicks only until the first worker, then lets the garage run itself
+    idle: () => createPolicy({ name: 'idle', clicksPerSecond: 4, stopClickingWithWorkers: true })
+};
+
+module.exports = { POLICIES, createPolicy, buyCheapest, buyNipUpgrades, takeBestContract };
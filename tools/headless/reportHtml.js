@@ -0,0 +1,332 @@
+/**
+ * reportHtml - Render a balance report as a self-contained HTML page
+ * Charts are inline SVG so the file can be opened or attached without any
+ * network access. When a baseline report is given it's drawn dashed and the
+ * tables gain a delta column.
+ */
+
+const COLORS = {
+    current: '#e67e22',
+    baseline: '#7f8c8d',
+    grid: '#2c3e50',
+    text: '#ecf0f1'
+};
+
+const CHART = { width: 640, height: 260, left: 64, right: 16, top: 16, bottom: 36 };
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Safe text
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Compact number, matching the game's suffix style
+ * @param {number|null} value - Number
+ * @returns {string} Formatted value
+ */
+function formatNumber(value) {
+    if (value === null || value === undefined || !isFinite(value)) return '—';
+    const suffixes = ['', 'K', 'M', 'B', 'T', 'Qa', 'Qi'];
+    let tier = 0;
+    let scaled = Math.abs(value);
+    while (scaled >= 1000 && tier < suffixes.length - 1) {
+        scaled /= 1000;
+        tier++;
+    }
+    const digits = tier === 0 && Number.isInteger(scaled) ? 0 : (scaled < 10 ? 2 : 1);
+    return `${value < 0 ? '-' : ''}${scaled.toFixed(digits)}${suffixes[tier]}`;
+}
+
+/**
+ * Duration as h/m/s
+ * @param {number|null} ms - Milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined || !isFinite(ms)) return '—';
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Percentage change from baseline to current
+ * @param {number|null} current - New value
+ * @param {number|null} baseline - Old value
+ * @returns {string} Delta cell HTML
+ */
+function formatDelta(current, baseline) {
+    if (current === null || baseline === null || current === undefined || baseline === undefined || !baseline) {
+        return '<td class="delta">—</td>';
+    }
+    const change = (current - baseline) / baseline * 100;
+    const sign = change > 0 ? '+' : '';
+    const cls = Math.abs(change) < 0.5 ? 'same' : (change > 0 ? 'up' : 'down');
+    return `<td class="delta ${cls}">${sign}${change.toFixed(1)}%</td>`;
+}
+
+/**
+ * Axis scale
+ * @param {number} min - Domain minimum
+ * @param {number} max - Domain maximum
+ * @param {number} from - Range start (px)
+ * @param {number} to - Range end (px)
+ * @param {boolean} log - Log10 scale
+ * @returns {Function} value -> px
+ */
+function scale(min, max, from, to, log) {
+    const f = log ? v => Math.log10(Math.max(v, 1e-9)) : v => v;
+    const lo = f(min);
+    const hi = f(max) === lo ? lo + 1 : f(max);
+    return value => from + (f(value) - lo) / (hi - lo) * (to - from);
+}
+
+/**
+ * Draw an SVG chart of line or point series
+ * @param {Object} options
+ * @param {Array<Object>} options.series - { label, points: [[x, y]], color, dashed, dots }
+ * @param {string} options.xLabel - X axis label
+ * @param {string} options.yLabel - Y axis label
+ * @param {Function} [options.formatX=formatNumber] - X tick formatter
+ * @param {boolean} [options.logX=false] - Log10 X axis
+ * @param {boolean} [options.logY=false] - Log10 Y axis
+ * @returns {string} SVG markup
+ */
+function renderChart({ series, xLabel, yLabel, formatX = formatNumber, logX = false, logY = false }) {
+    const points = series.flatMap(s => s.points)
+        .filter(([x, y]) => isFinite(x) && isFinite(y) && (!logX || x > 0) && (!logY || y > 0));
+    if (points.length === 0) {
+        return '<p class="empty">No data.</p>';
+    }
+
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const { width, height, left, right, top, bottom } = CHART;
+    const x = scale(Math.min(...xs), Math.max(...xs), left, width - right, logX);
+    const y = scale(logY ? Math.min(...ys) : Math.min(0, ...ys), Math.max(...ys), height - bottom, top, logY);
+
+    const ticks = (min, max, log) => {
+        return Array.from({ length: 5 }, (_, i) => {
+            const t = i / 4;
+            return log
+                ? Math.pow(10, Math.log10(min) + t * (Math.log10(max) - Math.log10(min)))
+                : min + t * (max - min);
+        });
+    };
+
+    const parts = [];
+    for (const value of ticks(logY ? Math.min(...ys) : Math.min(0, ...ys), Math.max(...ys), logY)) {
+        parts.push(`<line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" stroke="${COLORS.grid}"/>`);
+        parts.push(`<text x="${left - 6}" y="${y(value) + 4}" text-anchor="end">${formatNumber(value)}</text>`);
+    }
+    for (const value of ticks(Math.min(...xs), Math.max(...xs), logX)) {
+        parts.push(`<text x="${x(value)}" y="${height - bottom + 16}" text-anchor="middle">${escapeHTML(formatX(value))}</text>`);
+    }
+    parts.push(`<text x="${(left + width - right) / 2}" y="${height - 4}" text-anchor="middle" class="axis">${escapeHTML(xLabel)}</text>`);
+    parts.push(`<text x="12" y="${(top + height - bottom) / 2}" text-anchor="middle" class="axis" transform="rotate(-90 12 ${(top + height - bottom) / 2})">${escapeHTML(yLabel)}</text>`);
+
+    for (const s of series) {
+        const valid = s.points.filter(([px, py]) => isFinite(px) && isFinite(py) && (!logX || px > 0) && (!logY || py > 0));
+        if (s.dots) {
+            for (const [px, py] of valid) {
+                parts.push(`<circle cx="${x(px).toFixed(1)}" cy="${y(py).toFixed(1)}" r="3" fill="${s.color}" fill-opacity="${s.dashed ? 0.4 : 0.8}"/>`);
+            }
+        } else if (valid.length > 0) {
+            const d = valid.map(([px, py], i) => `${i ? 'L' : 'M'}${x(px).toFixed(1)},${y(py).toFixed(1)}`).join('');
+            parts.push(`<path d="${d}" fill="none" stroke="${s.color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="6 4"' : ''}/>`);
+        }
+    }
+
+    const legend = series.map(s =>
+        `<span class="legend"><i style="background:${s.color}"></i>${escapeHTML(s.label)}</span>`
+    ).join('');
+
+    return `<svg viewBox="0 0 ${width} ${height}" role="img">${parts.join('')}</svg><div>${legend}</div>`;
+}
+
+/**
+ * Current and (optional) baseline series for one field
+ * @param {Object} report - Current report
+ * @param {Object|null} baseline - Baseline report
+ * @param {Function} pick - report -> points
+ * @param {Object} [extra] - Extra series options
+ * @returns {Array<Object>} Series
+ */
+function compareSeries(report, baseline, pick, extra = {}) {
+    const series = [{ label: 'current', points: pick(report), color: COLORS.current, ...extra }];
+    if (baseline) {
+        series.push({ label: 'baseline', points: pick(baseline), color: COLORS.baseline, dashed: true, ...extra });
+    }
+    return series;
+}
+
+/**
+ * Build a table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<string>} rows - Row HTML (already wrapped in <td>s)
+ * @returns {string} Table HTML
+ */
+function renderTable(headers, rows) {
+    const head = headers.map(h => `<th>${escapeHTML(h)}</th>`).join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>${rows.map(r => `<tr>${r}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * Index baseline rows by a key
+ * @param {Object|null} baseline - Baseline report
+ * @param {string} field - Report field
+ * @param {Function} keyOf - Row -> key
+ * @returns {Map} Key -> row
+ */
+function indexRows(baseline, field, keyOf) {
+    return new Map(baseline ? baseline[field].map(row => [keyOf(row), row]) : []);
+}
+
+/**
+ * Render the report page
+ * @param {Object} report - Report from tools/balance-report.js
+ * @param {Object|null} [baseline=null] - Earlier report to compare against
+ * @returns {string} HTML document
+ */
+function renderReportHTML(report, baseline = null) {
+    const hours = ms => ms / 3600000;
+    const formatHours = value => `${value.toFixed(value < 10 ? 1 : 0)}h`;
+    const td = value => `<td>${escapeHTML(value)}</td>`;
+    const compared = (current, old, format) => baseline
+        ? td(format(current)) + td(format(old)) + formatDelta(current, old)
+        : td(format(current));
+    const compareHeaders = label => baseline ? [label, 'baseline', 'Δ'] : [label];
+
+    const summaryRows = [
+        ['Time to prestige-ready (1 Nip)', 'timeToPrestigeReadyMs', formatDuration],
+        ['Time to first prestige', 'timeToFirstPrestigeMs', formatDuration],
+        ['Highest level reached', 'maxLevelReached', String],
+        ['Prestiges', 'prestiges', String],
+        ['Nip earned', 'totalNip', formatNumber],
+        ['Lifetime earnings', 'lifetimeEarnings', formatNumber],
+        ['Cars repaired', 'carsRepaired', formatNumber]
+    ].map(([label, key, format]) =>
+        td(label) + compared(report.summary[key], baseline ? baseline.summary[key] : null, format)
+    );
+
+    const baselineLevels = indexRows(baseline, 'levels', row => row.level);
+    const levelRows = report.levels.map(row => {
+        const old = baselineLevels.get(row.level);
+        return td(row.level) + td(formatNumber(row.xpRequired)) + td(formatNumber(row.xpForLevel)) +
+            compared(row.reachedAtMs, old ? old.reachedAtMs : null, formatDuration);
+    });
+
+    const baselineUpgrades = indexRows(baseline, 'upgrades', row => `${row.id}:${row.level}`);
+    const upgradeSections = [...new Set(report.upgrades.map(row => row.id))].map(id => {
+        const rows = report.upgrades.filter(row => row.id === id);
+        const bought = rows.filter(row => row.boughtAtMs !== null).length;
+        // Bought levels plus a few beyond, so long upgrade ladders stay readable
+        const shown = rows.slice(0, Math.max(10, bought + 5));
+        const body = shown.map(row => {
+            const old = baselineUpgrades.get(`${row.id}:${row.level}`);
+            return td(row.level) +
+                compared(row.cost, old ? old.cost : null, formatNumber) +
+                td(formatNumber(row.cumulativeCost)) +
+                td(formatDuration(row.boughtAtMs)) +
+                td(formatNumber(row.incomeGainPerSecond)) +
+                compared(row.paybackSec, old ? old.paybackSec : null, v => formatDuration(v === null ? null : v * 1000));
+        });
+        return `<details${bought ? ' open' : ''}><summary>${escapeHTML(rows[0].name)} ` +
+            `<small>${escapeHTML(rows[0].effect)} · ${bought}/${rows.length} bought</small></summary>` +
+            renderTable(['Level', ...compareHeaders('Cost'), 'Total', 'Bought at', '+$/s', ...compareHeaders('Payback')], body) +
+            '</details>';
+    }).join('');
+
+    const baselineWorkers = indexRows(baseline, 'workers', row => `${row.id}:${row.hire}`);
+    const workerRows = report.workers.map(row => {
+        const old = baselineWorkers.get(`${row.id}:${row.hire}`);
+        return td(row.name) + td(row.hire) +
+            compared(row.cost, old ? old.cost : null, formatNumber) +
+            td(formatNumber(row.cumulativeCost)) +
+            td(formatNumber(row.costPerRepairRate)) +
+            td(formatDuration(row.boughtAtMs)) +
+            compared(row.paybackSec, old ? old.paybackSec : null, v => formatDuration(v === null ? null : v * 1000));
+    });
+
+    const charts = [
+        ['Garage level', renderChart({
+            series: compareSeries(report, baseline, r => r.timeline.map(e => [hours(e.timeMs), e.level])),
+            xLabel: 'hours', yLabel: 'level', formatX: formatHours
+        })],
+        ['Lifetime earnings', renderChart({
+            series: compareSeries(report, baseline, r => r.timeline.map(e => [hours(e.timeMs), e.lifetimeEarnings])),
+            xLabel: 'hours', yLabel: '$ (log)', formatX: formatHours, logY: true
+        })],
+        ['Income per second', renderChart({
+            series: compareSeries(report, baseline, r => r.timeline.map(e => [hours(e.timeMs), e.incomePerSecond])),
+            xLabel: 'hours', yLabel: '$/s (log)', formatX: formatHours, logY: true
+        })],
+        ['Purchase payback', renderChart({
+            series: compareSeries(report, baseline, r => [...r.upgrades, ...r.workers]
+                .filter(row => row.paybackSec !== null)
+                .map(row => [row.cost, row.paybackSec]), { dots: true }),
+            xLabel: 'cost (log)', yLabel: 'payback s (log)', logX: true, logY: true
+        })]
+    ].map(([title, svg]) => `<figure><figcaption>${title}</figcaption>${svg}</figure>`).join('');
+
+    const describe = r => `${escapeHTML(r.policy)} policy · seed ${escapeHTML(r.seed)} · ${escapeHTML(r.hours)}h · data ${escapeHTML(r.dataFingerprint)}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Balance report · ${escapeHTML(report.policy)} · ${escapeHTML(report.dataFingerprint)}</title>
+<style>
+body { background: #1a1a2e; color: ${COLORS.text}; font: 14px/1.4 system-ui, sans-serif; margin: 24px; }
+h1, h2 { color: ${COLORS.current}; }
+.meta { color: #95a5a6; }
+.charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; }
+figure { background: #16213e; border-radius: 8px; margin: 0; padding: 12px; }
+figcaption { font-weight: bold; margin-bottom: 4px; }
+svg { width: 100%; height: auto; }
+svg text { fill: #95a5a6; font-size: 11px; }
+svg text.axis { fill: ${COLORS.text}; }
+.legend { margin-right: 12px; font-size: 12px; }
+.legend i { display: inline-block; width: 12px; height: 3px; margin-right: 4px; vertical-align: middle; }
+table { border-collapse: collapse; margin: 8px 0 16px; }
+th, td { padding: 3px 10px; text-align: right; border-bottom: 1px solid ${COLORS.grid}; }
+th:first-child, td:first-child { text-align: left; }
+.delta.up { color: #e74c3c; }
+.delta.down { color: #2ecc71; }
+.delta.same { color: #95a5a6; }
+details { margin-bottom: 8px; }
+summary { cursor: pointer; font-weight: bold; }
+summary small { color: #95a5a6; font-weight: normal; }
+.empty { color: #95a5a6; }
+</style>
+</head>
+<body>
+<h1>Balance report</h1>
+<p class="meta">${describe(report)} · generated ${escapeHTML(report.generatedAt)}</p>
+${baseline ? `<p class="meta">Compared with: ${describe(baseline)} · generated ${escapeHTML(baseline.generatedAt)}. Δ is the change from baseline (red = higher, green = lower).</p>` : ''}
+<h2>Summary</h2>
+${renderTable(['', ...compareHeaders('Value')], summaryRows)}
+<div class="charts">${charts}</div>
+<h2>Time to level</h2>
+${renderTable(['Level', 'Total XP', 'XP for level', ...compareHeaders('Reached at')], levelRows)}
+<h2>Upgrades</h2>
+<p class="meta">Payback is cost ÷ the modelled income the purchase added, measured on its first purchase. — means no modelled gain (for example, clicks already outpace the car spawn rate).</p>
+${upgradeSections}
+<h2>Workers</h2>
+${renderTable(['Worker', 'Hire #', ...compareHeaders('Cost'), 'Total', '$ per repair/s', 'Hired at', ...compareHeaders('Payback')], workerRows)}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReportHTML };
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * simulate - Run the game headless under a scripted player and print a timeline
+ *
+ * Usage:
+ *   node tools/simulate.js [--hours 24] [--policy active|casual|idle|./my-policy.js]
+ *                          [--seed 1] [--sample-minutes 10] [--tick-ms 250]
+ *                          [--format json|csv] [--out timeline.json]
+ *
+ * A custom policy module exports either a policy object or a function that
+ * returns one; the policy's act(game, intervalMs) drives a HeadlessGame.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createHeadlessGame } = require('./headless/loadGame');
+const { POLICIES } = require('./headless/policies');
+
+const DEFAULTS = {
+    hours: 24,
+    policy: 'active',
+    seed: 1,
+    'sample-minutes': 10,
+    'tick-ms': 250,
+    format: 'json',
+    out: null
+};
+
+/**
+ * Parse --key value pairs
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options merged over DEFAULTS
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        const key = arg.slice(2);
+        if (!(key in DEFAULTS)) {
+            throw new Error(`Unknown option --${key}`);
+        }
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${key}`);
+        }
+        options[key] = typeof DEFAULTS[key] === 'number' ? Number(value) : value;
+    }
+
+    return options;
+}
+
+/**
+ * Resolve a built-in policy name or a module path
+ * @param {string} name - Policy name or path
+ * @returns {Object} Policy
+ */
+function loadPolicy(name) {
+    if (POLICIES[name]) {
+        return POLICIES[name]();
+    }
+
+    const exported = require(path.resolve(name));
+    const policy = typeof exported === 'function' ? exported() : exported;
+    if (!policy || typeof policy.act !== 'function') {
+        throw new Error(`Policy "${name}" must provide act(game, intervalMs)`);
+    }
+    policy.name = policy.name || path.basename(name, '.js');
+    return policy;
+}
+
+/**
+ * Run one simulation
+ * @param {Object} options - Parsed options
+ * @returns {Object} Run result with timeline and summary
+ */
+function simulate(options) {
+    const policy = loadPolicy(options.policy);
+    const game = createHeadlessGame({ seed: options.seed, tickMs: options['tick-ms'] });
+
+    const started = Date.now();
+    const timeline = game.run(options.hours * 60 * 60 * 1000, {
+        policy,
+        sampleIntervalMs: options['sample-minutes'] * 60 * 1000
+    });
+
+    const last = timeline[timeline.length - 1];
+    return {
+        policy: policy.name,
+        seed: options.seed,
+        hours: options.hours,
+        tickMs: options['tick-ms'],
+        runtimeMs: Date.now() - started,
+        summary: {
+            level: last.level,
+            nip: last.nip,
+            totalNip: last.totalNip,
+            prestiges: last.prestiges,
+            lifetimeEarnings: last.lifetimeEarnings,
+            carsRepaired: last.carsRepaired
+        },
+        timeline
+    };
+}
+
+/**
+ * Format a run's timeline as CSV
+ * @param {Object} result - Run result
+ * @returns {string} CSV text
+ */
+function toCSV(result) {
+    const columns = Object.keys(result.timeline[0]);
+    const rows = result.timeline.map(entry => columns.map(column => entry[column]).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        const usage = fs.readFileSync(__filename, 'utf8').split('\n').slice(2, 11);
+        console.log(usage.map(line => line.replace(/^ \* ?/, '')).join('\n'));
+        return;
+    }
+
+    const result = simulate(options);
+    const output = options.format === 'csv'
+        ? toCSV(result)
+        : JSON.stringify(result, null, 2) + '\n';
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`Wrote ${result.timeline.length} samples to ${options.out} in ${result.runtimeMs}ms`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { simulate, loadPolicy, toCSV };